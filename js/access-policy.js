@@ -0,0 +1,114 @@
+/**
+ * Visa Guide AIA - Access Policy
+ * Who may do what. Storage checks every operation on user data against these
+ * rules (see Storage.authorize) and returns a "forbidden" result when the
+ * signed-in account is not allowed.
+ *
+ * Roles:
+ *   applicant  - Manages their own profile, applications, documents and chat
+ *   consultant - An adviser account; works on its own data like an applicant
+ *   admin      - Case officer; reads every application and decides on them
+ *
+ * Accounts start as applicants. Case officers assign the other roles on the
+ * admin page (Storage.assignRole).
+ *
+ * Each action allows the resource owner (owner: true) and/or any account with
+ * one of the listed roles. Resources identify their owner with `userId`.
+ * Owners can also share their applications and documents with another account
+ * (a family member or consultant) through a grant: actions marked `delegate`
+ * are allowed to grantees whose access level includes that level.
+ */
+
+const AccessPolicy = {
+    roles: {
+        applicant: 'Applicant',
+        consultant: 'Consultant',
+        admin: 'Case Officer'
+    },
+    
+    // Access levels an owner can grant, each including the ones before it
+    accessLevels: {
+        view: 'Can view',
+        edit: 'Can view and edit'
+    },
+    
+    actions: {
+        'user:read': { owner: true, roles: ['admin'], description: 'view this account' },
+        'user:list': { owner: false, roles: ['admin'], description: 'list accounts' },
+        'user:update': { owner: true, roles: [], description: 'change this account' },
+        'user:assign-role': { owner: false, roles: ['admin'], description: 'change account roles' },
+        'delegation:manage': { owner: true, roles: [], description: 'manage sharing for this account' },
+        'application:read': { owner: true, roles: ['admin'], delegate: 'view', description: 'view this application' },
+        'application:list': { owner: false, roles: ['admin'], description: "view other applicants' applications" },
+        'application:write': { owner: true, roles: [], delegate: 'edit', description: 'change this application' },
+        'application:review': { owner: false, roles: ['admin'], description: 'review applications' },
+        'document:read': { owner: true, roles: [], delegate: 'view', description: 'view these documents' },
+        'document:write': { owner: true, roles: [], delegate: 'edit', description: 'change these documents' },
+        'household:read': { owner: true, roles: [], delegate: 'view', description: 'view this household' },
+        'household:write': { owner: true, roles: [], description: 'change this household' },
+        'chat:read': { owner: true, roles: [], description: 'view this conversation' },
+        'chat:write': { owner: true, roles: [], description: 'change this conversation' },
+        'reminder:read': { owner: true, roles: [], description: 'view these reminders' },
+        'reminder:write': { owner: true, roles: [], description: 'change these reminders' },
+        'data:export': { owner: true, roles: [], description: "export this account's data" }
+    },
+    
+    /**
+     * Check whether a user may perform an action on a resource
+     * @param {object|null} user - Signed-in user (with `id` and `role`), or null
+     * @param {string} action - Action name, e.g. 'application:read'
+     * @param {object} resource - Resource being acted on ({ userId } of its owner)
+     * @param {object|null} grant - Active grant from the resource owner to the user, if any
+     * @returns {string|null} - Why the action is not allowed, or null if it is
+     */
+    check(user, action, resource = {}, grant = null) {
+        const rule = this.actions[action];
+        if (!rule) {
+            return `Unknown action "${action}"`;
+        }
+        if (!user) {
+            return 'Please sign in to continue';
+        }
+        if (rule.roles.includes(user.role)) {
+            return null;
+        }
+        if (rule.owner && resource.userId && resource.userId === user.id) {
+            return null;
+        }
+        if (rule.delegate && this.grantAllows(grant, user, resource, rule.delegate)) {
+            return null;
+        }
+        return `You do not have permission to ${rule.description}`;
+    },
+    
+    /**
+     * Check whether a user may perform an action on a resource
+     * @param {object|null} user - Signed-in user, or null
+     * @param {string} action - Action name
+     * @param {object} resource - Resource being acted on
+     * @param {object|null} grant - Active grant from the resource owner to the user, if any
+     * @returns {boolean} - True if allowed
+     */
+    can(user, action, resource = {}, grant = null) {
+        return this.check(user, action, resource, grant) === null;
+    },
+    
+    /**
+     * Check whether a grant gives a user at least the given access to a resource
+     * @param {object|null} grant - Grant ({ ownerId, granteeId, access, status })
+     * @param {object} user - Signed-in user
+     * @param {object} resource - Resource being acted on ({ userId } of its owner)
+     * @param {string} level - Access level needed ('view' or 'edit')
+     * @returns {boolean} - True if the grant covers it
+     */
+    grantAllows(grant, user, resource, level) {
+        if (!grant || grant.status !== 'active' || grant.granteeId !== user.id || grant.ownerId !== resource.userId) {
+            return false;
+        }
+        const levels = Object.keys(this.accessLevels);
+        return levels.indexOf(grant.access) >= levels.indexOf(level) && levels.includes(level);
+    }
+};
+
+// Make AccessPolicy available globally
+window.AccessPolicy = AccessPolicy;
@@ -0,0 +1,212 @@
+/**
+ * Visa Guide AIA - Application Status Lifecycle
+ * The one definition of application statuses: their labels, badge colours and
+ * the transitions allowed between them. Storage enforces the transitions, and the
+ * stats, badges and filters are all built from this list.
+ *
+ *   draft -> pending -> under_review <-> additional_info_requested
+ *                            |
+ *                            +-> approved | rejected
+ *   pending, under_review and additional_info_requested can also be withdrawn.
+ *
+ * Status settings:
+ *   label       - Name shown to users
+ *   color       - Badge text colour
+ *   background  - Badge background colour
+ *   editable    - The applicant can still change the application's answers
+ *   inProgress  - Submitted and waiting on a decision
+ *   decision    - Moving to this status decides the application (Storage records decidedAt)
+ *   next        - Statuses the application can move to from this one
+ *   action      - Button label for case officers moving an application to this status
+ */
+
+const ApplicationStatus = {
+    statuses: {
+        draft: {
+            label: 'Draft',
+            color: '#4b5563',
+            background: '#f3f4f6',
+            editable: true,
+            inProgress: false,
+            next: ['pending']
+        },
+        pending: {
+            label: 'Submitted',
+            color: '#b45309',
+            background: '#fef3c7',
+            editable: true,
+            inProgress: true,
+            next: ['under_review', 'withdrawn']
+        },
+        under_review: {
+            label: 'Under Review',
+            color: '#1d4ed8',
+            background: '#dbeafe',
+            editable: false,
+            inProgress: true,
+            next: ['additional_info_requested', 'approved', 'rejected', 'withdrawn'],
+            action: 'Start Review'
+        },
+        additional_info_requested: {
+            label: 'Information Requested',
+            color: '#7c3aed',
+            background: '#ede9fe',
+            editable: true,
+            inProgress: true,
+            next: ['under_review', 'withdrawn'],
+            action: 'Request Information'
+        },
+        approved: {
+            label: 'Approved',
+            color: '#047857',
+            background: '#d1fae5',
+            editable: false,
+            inProgress: false,
+            decision: true,
+            next: [],
+            action: 'Approve'
+        },
+        rejected: {
+            label: 'Rejected',
+            color: '#b91c1c',
+            background: '#fee2e2',
+            editable: false,
+            inProgress: false,
+            decision: true,
+            next: [],
+            action: 'Reject'
+        },
+        withdrawn: {
+            label: 'Withdrawn',
+            color: '#6b7280',
+            background: '#e5e7eb',
+            editable: false,
+            inProgress: false,
+            next: []
+        }
+    },
+    
+    // Statuses a new application can start in
+    initial: ['draft', 'pending'],
+    
+    // Statuses only a case officer can set (submitting and withdrawing are up to the applicant)
+    reviewerStatuses: ['under_review', 'additional_info_requested', 'approved', 'rejected'],
+    
+    /**
+     * Get every status in lifecycle order
+     * @returns {Array} - Array of { value, label, ... }
+     */
+    list() {
+        return Object.entries(this.statuses).map(([value, status]) => ({ value: value, ...status }));
+    },
+    
+    /**
+     * Check whether a status is part of the lifecycle
+     * @param {string} status - Status value
+     * @returns {boolean} - True if known
+     */
+    isValid(status) {
+        return Object.prototype.hasOwnProperty.call(this.statuses, status);
+    },
+    
+    /**
+     * Get the display name of a status
+     * @param {string} status - Status value
+     * @returns {string} - Label (the raw value for unknown statuses)
+     */
+    getLabel(status) {
+        return this.isValid(status) ? this.statuses[status].label : String(status || 'Unknown');
+    },
+    
+    /**
+     * Check whether the applicant can still change an application's answers
+     * @param {string} status - Status value
+     * @returns {boolean} - True if editable
+     */
+    isEditable(status) {
+        return this.isValid(status) && this.statuses[status].editable;
+    },
+    
+    /**
+     * Check whether an application is submitted and still waiting on a decision
+     * @param {string} status - Status value
+     * @returns {boolean} - True if in progress
+     */
+    isInProgress(status) {
+        return this.isValid(status) && this.statuses[status].inProgress;
+    },
+    
+    /**
+     * Check whether a status is a decision on the application (approved or rejected)
+     * @param {string} status - Status value
+     * @returns {boolean} - True if it is a decision
+     */
+    isDecision(status) {
+        return this.isValid(status) && Boolean(this.statuses[status].decision);
+    },
+    
+    /**
+     * Check whether an application can move from one status to another
+     * @param {string} from - Current status
+     * @param {string} to - Requested status
+     * @returns {boolean} - True if allowed
+     */
+    canTransition(from, to) {
+        return this.validateTransition(from, to) === null;
+    },
+    
+    /**
+     * Explain why a status change is not allowed
+     * @param {string} from - Current status
+     * @param {string} to - Requested status
+     * @returns {string|null} - Error message, or null if the change is allowed
+     */
+    validateTransition(from, to) {
+        if (!this.isValid(to)) {
+            return `"${to}" is not a valid application status. Use one of: ${Object.keys(this.statuses).join(', ')}`;
+        }
+        if (!this.isValid(from)) {
+            return `The application has an unknown status "${from}"`;
+        }
+        
+        const next = this.statuses[from].next;
+        if (!next.includes(to)) {
+            const allowed = next.length > 0 ? next.map(status => this.getLabel(status)).join(', ') : 'none, it is final';
+            return `Cannot change an application from ${this.getLabel(from)} to ${this.getLabel(to)}. Allowed next statuses: ${allowed}`;
+        }
+        return null;
+    },
+    
+    /**
+     * Get the statuses a case officer can move an application to next
+     * @param {string} status - Current status
+     * @returns {Array} - Array of status values
+     */
+    getReviewerActions(status) {
+        if (!this.isValid(status)) return [];
+        return this.statuses[status].next.filter(next => this.reviewerStatuses.includes(next));
+    },
+    
+    /**
+     * Get the inline style for a status badge
+     * @param {string} status - Status value
+     * @returns {string} - CSS declarations
+     */
+    getBadgeStyle(status) {
+        const definition = this.statuses[status] || this.statuses.draft;
+        return `color: ${definition.color}; background-color: ${definition.background};`;
+    },
+    
+    /**
+     * Get the HTML for a status badge
+     * @param {string} status - Status value
+     * @returns {string} - HTML string
+     */
+    getBadgeHtml(status) {
+        const label = this.getLabel(status).replace(/[&<>"]/g, char => `&#${char.charCodeAt(0)};`);
+        return `<span class="status-badge" style="${this.getBadgeStyle(status)}">${label}</span>`;
+    }
+};
+
+// Make ApplicationStatus available globally
+window.ApplicationStatus = ApplicationStatus;
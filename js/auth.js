@@ -24,8 +24,8 @@ document.addEventListener('DOMContentLoaded', function() {
 /**
  * Initialize authentication state
  */
-function initializeAuth() {
-    const currentUser = Storage.getCurrentUser();
+async function initializeAuth() {
+    const currentUser = await Storage.getCurrentUser();
     
     if (currentUser) {
         // User is logged in, show app section
@@ -139,7 +139,7 @@ function showApp(user) {
  * Handle login form submission
  * @param {Event} event - Form submit event
  */
-function handleLogin(event) {
+async function handleLogin(event) {
     event.preventDefault();
     
     const emailInput = document.getElementById('login-email');
@@ -160,7 +160,7 @@ function handleLogin(event) {
     }
     
     // Attempt login
-    const result = Storage.loginUser(email, password);
+    const result = await Storage.loginUser(email, password);
     
     if (result.success) {
         showNotification('Login successful! Welcome back.', 'success');
@@ -190,7 +190,7 @@ function handleLogin(event) {
  * Handle register form submission
  * @param {Event} event - Form submit event
  */
-function handleRegister(event) {
+async function handleRegister(event) {
     event.preventDefault();
     
     const nameInput = document.getElementById('register-name');
@@ -247,7 +247,7 @@ function handleRegister(event) {
     }
     
     // Attempt registration
-    const result = Storage.registerUser({ name, email, password });
+    const result = await Storage.registerUser({ name, email, password });
     
     if (result.success) {
         showNotification('Account created successfully! Welcome to Visa Guide AIA.', 'success');
@@ -270,8 +270,8 @@ function handleRegister(event) {
 /**
  * Handle logout
  */
-function handleLogout() {
-    const result = Storage.logoutUser();
+async function handleLogout() {
+    const result = await Storage.logoutUser();
     
     if (result.success) {
         showNotification('You have been logged out successfully', 'success');
@@ -283,6 +283,14 @@ function handleLogout() {
     }
 }
 
+/**
+ * Send a visitor who is not signed in away from a members-only page: back to the sign-in
+ * page with a note if their session expired, otherwise to the home page
+ */
+async function redirectToSignIn() {
+    window.location.href = (await Storage.getSessionStatus()).expired ? 'auth.html?expired=1' : 'index.html';
+}
+
 // ===== Utility Functions =====
 
 /**
@@ -351,14 +359,14 @@ function getNotificationIcon(type) {
 }
 
 /**
- * Escape HTML to prevent XSS
+ * Escape HTML to prevent XSS. Quotes are escaped too, so the result is also safe inside attribute values.
  * @param {string} text - Text to escape
  * @returns {string} - Escaped text
  */
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 // ===== Dashboard Functions =====
@@ -366,17 +374,17 @@ function escapeHtml(text) {
 /**
  * Load user applications on dashboard
  */
-function loadUserApplications() {
-    const currentUser = Storage.getCurrentUser();
+async function loadUserApplications() {
+    const currentUser = await Storage.getCurrentUser();
     if (!currentUser) return;
     
     const applicationsList = document.getElementById('applications-list');
     if (!applicationsList) return;
     
-    const applications = currentUser.applications || [];
+    const applications = await Storage.getApplicationSummaries(currentUser.id);
     
     // Update stats
-    const stats = Storage.getUserApplicationStats(currentUser.id);
+    const stats = await Storage.getUserApplicationStats(currentUser.id);
     updateDashboardStats(stats);
     
     if (applications.length === 0) {
@@ -384,10 +392,7 @@ function loadUserApplications() {
         return;
     }
     
-    // Sort by date (newest first)
-    applications.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    
-    // Render applications
+    // Render applications (summaries are already sorted newest first)
     applicationsList.innerHTML = getApplicationsTableHtml(applications);
 }
 
@@ -402,7 +407,7 @@ function updateDashboardStats(stats) {
     const rejectedEl = document.getElementById('rejected-applications');
     
     if (totalEl) totalEl.textContent = stats.total;
-    if (pendingEl) pendingEl.textContent = stats.pending;
+    if (pendingEl) pendingEl.textContent = stats.inProgress;
     if (approvedEl) approvedEl.textContent = stats.approved;
     if (rejectedEl) rejectedEl.textContent = stats.rejected;
 }
@@ -441,6 +446,7 @@ function getApplicationsTableHtml(applications) {
                         <th>Visa Type</th>
                         <th>Submission Date</th>
                         <th>Status</th>
+                        <th>Documents</th>
                         <th>Actions</th>
                     </tr>
                 </thead>
@@ -450,12 +456,18 @@ function getApplicationsTableHtml(applications) {
                             <td><code>${app.id.substring(0, 8)}...</code></td>
                             <td>${escapeHtml(app.destination || 'N/A')}</td>
                             <td>${escapeHtml(app.visaType || 'N/A')}</td>
-                            <td>${new Date(app.createdAt).toLocaleDateString()}</td>
-                            <td><span class="status-badge ${app.status}">${capitalizeFirst(app.status)}</span></td>
+                            <td>${app.status === 'draft' ? `Draft (step ${app.draftStep || 1} of 4)` : new Date(app.submittedAt || app.createdAt).toLocaleDateString()}</td>
+                            <td>${ApplicationStatus.getBadgeHtml(app.status)}</td>
+                            <td>${app.checklistProgress.total > 0
+                                ? `<a href="documents.html?application=${encodeURIComponent(app.id)}">${app.checklistProgress.attached} of ${app.checklistProgress.total} attached</a>`
+                                : 'N/A'}</td>
                             <td>
                                 <div class="action-buttons">
-                                    <button class="btn btn-sm btn-outline" onclick="viewApplication('${app.id}')">View</button>
-                                    <button class="btn btn-sm btn-danger" onclick="deleteApplication('${app.id}')">Delete</button>
+                                    ${app.status === 'draft'
+                                        ? `<a class="btn btn-sm btn-primary" href="forms.html?draft=${encodeURIComponent(app.id)}">Continue</a>`
+                                        : `<button class="btn btn-sm btn-outline" onclick="viewApplication('${app.id}')">View</button>`}
+                                    ${app.status === 'draft' ? `<button class="btn btn-sm btn-danger" onclick="deleteApplication('${app.id}')">Delete</button>` : ''}
+                                    ${ApplicationStatus.canTransition(app.status, 'withdrawn') ? `<button class="btn btn-sm btn-danger" onclick="promptWithdrawal('${app.id}')">Withdraw</button>` : ''}
                                 </div>
                             </td>
                         </tr>
@@ -467,57 +479,22 @@ function getApplicationsTableHtml(applications) {
 }
 
 /**
- * View application details
+ * Open the application detail page
  * @param {string} applicationId - Application ID
  */
 function viewApplication(applicationId) {
-    const currentUser = Storage.getCurrentUser();
-    if (!currentUser) return;
-    
-    const application = currentUser.applications.find(a => a.id === applicationId);
-    
-    if (application) {
-        const details = `
-Visa Application Details
-========================
-
-Application ID: ${application.id}
-Status: ${capitalizeFirst(application.status)}
-
-Destination: ${application.destination || 'N/A'}
-Visa Type: ${application.visaType || 'N/A'}
-Purpose of Visit: ${application.purpose || 'N/A'}
-
-Submission Date: ${new Date(application.createdAt).toLocaleString()}
-
-Personal Information:
-- Full Name: ${application.fullName || 'N/A'}
-- Email: ${application.email || 'N/A'}
-- Phone: ${application.phone || 'N/A'}
-- Nationality: ${application.nationality || 'N/A'}
-
-Passport Details:
-- Passport Number: ${application.passportNumber || 'N/A'}
-- Passport Expiry: ${application.passportExpiry || 'N/A'}
-- Current Location: ${application.currentLocation || 'N/A'}
-
-Travel Details:
-- Departure Date: ${application.departureDate || 'N/A'}
-- Return Date: ${application.returnDate || 'N/A'}
-        `;
-        alert(details);
-    }
+    window.location.href = 'application.html?id=' + encodeURIComponent(applicationId);
 }
 
 /**
- * Delete application
+ * Delete a draft application
  * @param {string} applicationId - Application ID
  */
-function deleteApplication(applicationId) {
-    if (confirm('Are you sure you want to delete this application? This action cannot be undone.')) {
-        const currentUser = Storage.getCurrentUser();
+async function deleteApplication(applicationId) {
+    if (confirm('Are you sure you want to delete this draft? This action cannot be undone.')) {
+        const currentUser = await Storage.getCurrentUser();
         if (currentUser) {
-            const result = Storage.deleteApplication(currentUser.id, applicationId);
+            const result = await Storage.deleteApplication(currentUser.id, applicationId);
             if (result.success) {
                 showNotification('Application deleted successfully', 'success');
                 loadUserApplications();
@@ -528,6 +505,26 @@ function deleteApplication(applicationId) {
     }
 }
 
+/**
+ * Withdraw a submitted application, which stays on record with the applicant's reason
+ * @param {string} applicationId - Application ID
+ */
+async function promptWithdrawal(applicationId) {
+    const reason = prompt('Why are you withdrawing this application? It stays on record as withdrawn and can no longer be changed.');
+    if (reason === null) return;
+    
+    const currentUser = await Storage.getCurrentUser();
+    if (currentUser) {
+        const result = await Storage.withdrawApplication(currentUser.id, applicationId, reason);
+        if (result.success) {
+            showNotification('Application withdrawn', 'success');
+            loadUserApplications();
+        } else {
+            showNotification(result.message, 'error');
+        }
+    }
+}
+
 /**
  * Capitalize first letter
  * @param {string} string - String to capitalize
@@ -547,7 +544,9 @@ window.showApp = showApp;
 window.handleLogin = handleLogin;
 window.handleRegister = handleRegister;
 window.handleLogout = handleLogout;
+window.redirectToSignIn = redirectToSignIn;
 window.loadUserApplications = loadUserApplications;
 window.viewApplication = viewApplication;
 window.deleteApplication = deleteApplication;
+window.promptWithdrawal = promptWithdrawal;
 window.showNotification = showNotification;
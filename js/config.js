@@ -0,0 +1,37 @@
+/**
+ * Visa Guide AIA - Configuration
+ * Deployment settings read by the other scripts. Change the storage backend here
+ * rather than in storage.js so the same pages work offline or against a server.
+ */
+
+const AppConfig = {
+    /**
+     * Storage backend passed to StorageBackends.create():
+     * - { backend: 'localStorage' }  (default, offline demo)
+     * - { backend: 'indexedDB' }
+     * - { backend: 'memory' }         (data is lost on page load)
+     * - { backend: 'http', baseUrl: 'http://localhost:8787', headers: { Authorization: 'Bearer <API_TOKEN>' } }
+     *   (demo server, see server/rest-server.js)
+     */
+    storage: {
+        backend: 'localStorage'
+    },
+    
+    /**
+     * Accounts with these emails get the case-officer (admin) role when they register
+     * or sign in, which opens admin.html for reviewing every application.
+     * For demos only: emails are not verified, so whoever registers a listed address
+     * first becomes a case officer. Elsewhere leave this empty, bootstrap the first case
+     * officer by hand and let case officers assign roles on admin.html.
+     */
+    adminEmails: [],
+    
+    /**
+     * Extra processing-time rows checked before the built-in table in processing-times.js,
+     * e.g. { form: 'visa', office: 'Japan', days: { decision: [5, 30] } }
+     */
+    processingTimes: []
+};
+
+// Make AppConfig available globally
+window.AppConfig = AppConfig;
@@ -0,0 +1,409 @@
+/**
+ * Visa Guide AIA - Fee Schedule
+ * Government fees for each form, destination and visa type, kept as dated versions so an
+ * application is charged the fees in force when it was filed. Also works out fee-waiver
+ * eligibility (Form I-912) from household size and income, and what an application still owes
+ * after the payments recorded against it (see Storage.addPayment).
+ *
+ * Each version lists the entries that changed on its effective date; an entry stays in force
+ * until a later version replaces the same form, destination and visa type. When several entries
+ * match, the most specific wins: a country over a region over '*', a visa type over '*'.
+ *
+ * Entry settings:
+ *   form        - 'visa' (an application made with the wizard) or a USCIS form number, e.g. 'N-400'
+ *   destination - Country, region (see regions) or '*'
+ *   visaType    - Visa type or '*'
+ *   currency    - ISO 4217 currency code
+ *   items       - Fee lines: { id, label, amount }
+ *   waiver      - For USCIS forms: { form, maxPercent } waives the whole fee when household income
+ *                 is at or below maxPercent of the poverty guideline; `reduced` ({ maxPercent, total })
+ *                 lowers it for incomes up to a higher limit
+ *
+ * Amounts are general guidance only; applicants should confirm them with the embassy or USCIS.
+ */
+
+const Fees = {
+    // Destinations that share a fee schedule
+    regions: {
+        schengen: ['Germany', 'France', 'Italy', 'Spain', 'Netherlands', 'Sweden', 'Norway', 'Denmark', 'Switzerland']
+    },
+    
+    versions: [
+        {
+            effectiveDate: '2016-12-23',
+            source: 'USCIS fee rule of 23 December 2016',
+            entries: [
+                {
+                    form: 'N-400', destination: '*', visaType: '*', currency: 'USD',
+                    items: [
+                        { id: 'filing', label: 'N-400 filing fee', amount: 640 },
+                        { id: 'biometrics', label: 'Biometric services fee', amount: 85 }
+                    ],
+                    waiver: { form: 'I-912', maxPercent: 150, reduced: { form: 'I-942', maxPercent: 200, total: 405 } }
+                }
+            ]
+        },
+        {
+            effectiveDate: '2019-07-31',
+            source: 'IRCC fee schedule',
+            entries: [
+                {
+                    form: 'visa', destination: 'Canada', visaType: '*', currency: 'CAD',
+                    items: [
+                        { id: 'application', label: 'Visitor visa fee', amount: 100 },
+                        { id: 'biometrics', label: 'Biometrics fee', amount: 85 }
+                    ]
+                },
+                {
+                    form: 'visa', destination: 'Canada', visaType: 'Student', currency: 'CAD',
+                    items: [
+                        { id: 'application', label: 'Study permit fee', amount: 150 },
+                        { id: 'biometrics', label: 'Biometrics fee', amount: 85 }
+                    ]
+                },
+                {
+                    form: 'visa', destination: 'Canada', visaType: 'Work', currency: 'CAD',
+                    items: [
+                        { id: 'application', label: 'Work permit fee', amount: 155 },
+                        { id: 'biometrics', label: 'Biometrics fee', amount: 85 }
+                    ]
+                }
+            ]
+        },
+        {
+            effectiveDate: '2020-02-02',
+            source: 'Schengen Visa Code',
+            entries: [
+                {
+                    form: 'visa', destination: 'schengen', visaType: '*', currency: 'EUR',
+                    items: [{ id: 'application', label: 'Schengen visa fee', amount: 80 }]
+                }
+            ]
+        },
+        {
+            effectiveDate: '2023-06-17',
+            source: 'U.S. Department of State visa fees',
+            entries: [
+                {
+                    form: 'visa', destination: 'United States', visaType: '*', currency: 'USD',
+                    items: [{ id: 'application', label: 'Visa application (MRV) fee', amount: 185 }]
+                },
+                {
+                    form: 'visa', destination: 'United States', visaType: 'Student', currency: 'USD',
+                    items: [
+                        { id: 'application', label: 'Visa application (MRV) fee', amount: 185 },
+                        { id: 'sevis', label: 'SEVIS I-901 fee', amount: 350 }
+                    ]
+                },
+                {
+                    form: 'visa', destination: 'United States', visaType: 'Work', currency: 'USD',
+                    items: [{ id: 'application', label: 'Visa application (MRV) fee', amount: 205 }]
+                }
+            ]
+        },
+        {
+            effectiveDate: '2024-04-01',
+            source: 'USCIS fee rule of 1 April 2024',
+            entries: [
+                {
+                    form: 'N-400', destination: '*', visaType: '*', currency: 'USD',
+                    items: [{ id: 'filing', label: 'N-400 filing fee (paper; biometrics included)', amount: 760 }],
+                    waiver: { form: 'I-912', maxPercent: 150, reduced: { form: 'N-400 Part 10', maxPercent: 400, total: 380 } }
+                }
+            ]
+        },
+        {
+            effectiveDate: '2024-04-11',
+            source: 'UK Home Office visa fees',
+            entries: [
+                {
+                    form: 'visa', destination: 'United Kingdom', visaType: '*', currency: 'GBP',
+                    items: [{ id: 'application', label: 'Standard Visitor visa fee', amount: 127 }]
+                },
+                {
+                    form: 'visa', destination: 'United Kingdom', visaType: 'Transit', currency: 'GBP',
+                    items: [{ id: 'application', label: 'Direct Airside Transit visa fee', amount: 35 }]
+                }
+            ]
+        },
+        {
+            effectiveDate: '2024-06-11',
+            source: 'Schengen visa fee increase',
+            entries: [
+                {
+                    form: 'visa', destination: 'schengen', visaType: '*', currency: 'EUR',
+                    items: [{ id: 'application', label: 'Schengen visa fee', amount: 90 }]
+                }
+            ]
+        }
+    ],
+    
+    // Application statuses with no fee owed: not filed yet, or withdrawn or refused
+    UNBILLED_STATUSES: ['draft', 'withdrawn', 'rejected'],
+    
+    // HHS poverty guidelines for the 48 contiguous states and D.C. (annual household income),
+    // as USCIS applies them from March each year: base for one person plus perPerson for each extra
+    povertyGuidelines: [
+        { year: 2024, effectiveDate: '2024-03-01', base: 15060, perPerson: 5380 },
+        { year: 2025, effectiveDate: '2025-03-01', base: 15650, perPerson: 5500 }
+    ],
+    
+    /**
+     * Find the fees for a form, destination and visa type on a date
+     * @param {object} key - { form ('visa' if omitted), destination, visaType }
+     * @param {string} date - YYYY-MM-DD date (defaults to today)
+     * @returns {object|null} - { form, destination, visaType, currency, items, total, waiver, effectiveDate, source },
+     *                          or null if the schedule has no fees for it
+     */
+    getFees(key, date = this.today()) {
+        const form = key.form || 'visa';
+        
+        // The latest version of each entry in force on the date
+        const current = {};
+        this.versions
+            .filter(version => version.effectiveDate <= date)
+            .forEach(version => {
+                version.entries.forEach(entry => {
+                    current[`${entry.form}|${entry.destination}|${entry.visaType}`] = { ...entry, effectiveDate: version.effectiveDate, source: version.source };
+                });
+            });
+        
+        const matches = Object.values(current)
+            .filter(entry => entry.form === form)
+            .filter(entry => entry.visaType === '*' || entry.visaType === key.visaType)
+            .map(entry => ({ entry: entry, score: this.getDestinationScore(entry.destination, key.destination) * 2 + (entry.visaType === '*' ? 0 : 1) }))
+            .filter(match => match.score >= 0)
+            .sort((a, b) => b.score - a.score);
+        if (matches.length === 0) {
+            return null;
+        }
+        
+        const entry = matches[0].entry;
+        return {
+            ...entry,
+            items: entry.items.map(item => ({ ...item })),
+            total: entry.items.reduce((total, item) => total + item.amount, 0)
+        };
+    },
+    
+    /**
+     * Rank how closely an entry's destination matches a country
+     * @param {string} entryDestination - Country, region or '*'
+     * @param {string} destination - Country applied for
+     * @returns {number} - 2 for the country, 1 for its region, 0 for '*', -1 for no match
+     */
+    getDestinationScore(entryDestination, destination) {
+        if (entryDestination === destination) {
+            return 2;
+        }
+        if (this.regions[entryDestination]) {
+            return this.regions[entryDestination].includes(destination) ? 1 : -1;
+        }
+        return entryDestination === '*' ? 0 : -1;
+    },
+    
+    /**
+     * Find the fees an application is charged: those in force when it was submitted (or today for a draft)
+     * @param {object} application - Application (form?, destination, visaType, submittedAt)
+     * @returns {object|null} - Fees (see getFees), or null if the schedule has no fees for it
+     */
+    getForApplication(application) {
+        const date = application.submittedAt ? application.submittedAt.slice(0, 10) : this.today();
+        return this.getFees({ form: application.form, destination: application.destination, visaType: application.visaType }, date);
+    },
+    
+    // ===== Fee Waivers =====
+    
+    /**
+     * Get the poverty guideline for a household on a date
+     * @param {number} householdSize - People in the household (at least 1)
+     * @param {string} date - YYYY-MM-DD date (defaults to today)
+     * @returns {object} - { year, amount }
+     */
+    getPovertyGuideline(householdSize, date = this.today()) {
+        const guidelines = this.povertyGuidelines.filter(entry => entry.effectiveDate <= date);
+        const guideline = guidelines.length > 0 ? guidelines[guidelines.length - 1] : this.povertyGuidelines[0];
+        const size = Math.max(1, Math.floor(householdSize) || 1);
+        return { year: guideline.year, amount: guideline.base + (size - 1) * guideline.perPerson };
+    },
+    
+    /**
+     * Check whether a household qualifies for a fee waiver or reduced fee
+     * @param {object|null} fees - Fees from getFees
+     * @param {object} household - { householdSize, income } (annual household income in U.S. dollars)
+     * @param {string} date - YYYY-MM-DD date (defaults to today)
+     * @returns {object} - { status ('waiver', 'reduced', 'none' or 'unavailable'), due, percent?, guideline?, message }
+     */
+    checkWaiver(fees, household, date = this.today()) {
+        if (!fees || !fees.waiver) {
+            return { status: 'unavailable', due: fees ? fees.total : null, message: 'No fee waiver is available for this fee' };
+        }
+        
+        const income = Number(household.income);
+        if (household.income === '' || household.income === undefined || isNaN(income) || income < 0) {
+            return { status: 'unavailable', due: fees.total, message: 'Enter your household size and annual income to check for a fee waiver' };
+        }
+        
+        // Compare the exact share of the guideline; it is only rounded (to 0.1%) for display
+        const guideline = this.getPovertyGuideline(household.householdSize, date);
+        const ratio = income / guideline.amount * 100;
+        const percent = Math.round(ratio * 10) / 10;
+        const limit = amount => this.formatAmount(guideline.amount * amount / 100, 'USD');
+        const result = { percent: percent, guideline: guideline };
+        
+        if (ratio <= fees.waiver.maxPercent) {
+            return {
+                ...result,
+                status: 'waiver',
+                due: 0,
+                message: `Your income is ${percent}% of the ${guideline.year} poverty guideline, at or below ${fees.waiver.maxPercent}% (${limit(fees.waiver.maxPercent)}): you may ask for a full fee waiver with Form ${fees.waiver.form}`
+            };
+        }
+        
+        const reduced = fees.waiver.reduced;
+        if (reduced && ratio <= reduced.maxPercent) {
+            return {
+                ...result,
+                status: 'reduced',
+                due: reduced.total,
+                message: `Your income is ${percent}% of the ${guideline.year} poverty guideline, at or below ${reduced.maxPercent}% (${limit(reduced.maxPercent)}): you may pay a reduced fee of ${this.formatAmount(reduced.total, fees.currency)} (${reduced.form})`
+            };
+        }
+        
+        return {
+            ...result,
+            status: 'none',
+            due: fees.total,
+            message: `Your income is ${percent}% of the ${guideline.year} poverty guideline, above the ${(reduced || fees.waiver).maxPercent}% limit: the full fee applies`
+        };
+    },
+    
+    /**
+     * Work out the fees for a form and whether a fee waiver applies
+     * @param {object} details - { form, destination, visaType, householdSize?, income? }
+     * @param {string} date - YYYY-MM-DD date (defaults to today)
+     * @returns {object} - { fees (null if unknown), waiver, due }
+     */
+    calculate(details, date = this.today()) {
+        const fees = this.getFees(details, date);
+        const waiver = this.checkWaiver(fees, details, date);
+        return { fees: fees, waiver: waiver, due: waiver.due };
+    },
+    
+    // ===== Payments =====
+    
+    /**
+     * Work out what an application has paid and still owes. The fee is lowered by the fee waiver
+     * or reduced fee its recorded household details qualify for (see Storage.setFeeWaiver), and
+     * nothing is owed on an application that is not filed (UNBILLED_STATUSES).
+     * @param {object} application - Application with its `status`, `payments` and optional `feeWaiver`
+     * @returns {object|null} - { currency, total, paid, owed, billed, waiver }, or null if the schedule has no fees for it
+     */
+    getBalance(application) {
+        const fees = this.getForApplication(application);
+        if (!fees) {
+            return null;
+        }
+        
+        const date = application.submittedAt ? application.submittedAt.slice(0, 10) : this.today();
+        const waiver = application.feeWaiver ? this.checkWaiver(fees, application.feeWaiver, date) : null;
+        const total = waiver && (waiver.status === 'waiver' || waiver.status === 'reduced') ? waiver.due : fees.total;
+        const billed = !this.UNBILLED_STATUSES.includes(application.status);
+        
+        const paid = (application.payments || [])
+            .filter(payment => (payment.currency || fees.currency) === fees.currency)
+            .reduce((total, payment) => total + Number(payment.amount || 0), 0);
+        return {
+            currency: fees.currency,
+            total: total,
+            paid: paid,
+            owed: billed ? Math.max(0, total - paid) : 0,
+            billed: billed,
+            waiver: waiver
+        };
+    },
+    
+    /**
+     * Total what is owed across applications, per currency
+     * @param {Array} applications - Applications with their `payments`
+     * @returns {Array} - [{ currency, owed, applications }] for each currency with something owed
+     */
+    getAmountsOwed(applications) {
+        const totals = {};
+        applications.forEach(application => {
+            const balance = this.getBalance(application);
+            if (!balance || balance.owed === 0) {
+                return;
+            }
+            totals[balance.currency] = totals[balance.currency] || { currency: balance.currency, owed: 0, applications: 0 };
+            totals[balance.currency].owed += balance.owed;
+            totals[balance.currency].applications++;
+        });
+        return Object.values(totals);
+    },
+    
+    /**
+     * Summarise a form's current fees and fee waiver limits (for the assistant)
+     * @param {string} form - Form number, e.g. 'N-400'
+     * @returns {string} - Plain text with ** for emphasis
+     */
+    describe(form) {
+        const fees = this.getFees({ form: form });
+        if (!fees) {
+            return `We do not have the current fees for Form ${form}. Please check with USCIS.`;
+        }
+        
+        const lines = [`Current fees for Form ${form} (in force since ${this.formatDate(fees.effectiveDate)}):`, ''];
+        fees.items.forEach(item => {
+            lines.push(`**${item.label}:** ${this.formatAmount(item.amount, fees.currency)}`);
+        });
+        if (fees.items.length > 1) {
+            lines.push(`**Total:** ${this.formatAmount(fees.total, fees.currency)}`);
+        }
+        
+        if (fees.waiver) {
+            const guideline = this.getPovertyGuideline(1);
+            lines.push('', '**Fee waivers:**');
+            lines.push(`- Full waiver with Form ${fees.waiver.form} if household income is at or below ${fees.waiver.maxPercent}% of the poverty guideline (${this.formatAmount(guideline.amount * fees.waiver.maxPercent / 100, 'USD')} for one person in ${guideline.year})`);
+            if (fees.waiver.reduced) {
+                lines.push(`- Reduced fee of ${this.formatAmount(fees.waiver.reduced.total, fees.currency)} up to ${fees.waiver.reduced.maxPercent}% of the poverty guideline`);
+            }
+        }
+        
+        lines.push('', '**Payment methods:**', '- Check or money order (pay to DHS)', '- Credit/debit card (Form G-1450, or online)');
+        return lines.join('\n');
+    },
+    
+    // ===== Formatting =====
+    
+    /**
+     * Format an amount of money
+     * @param {number} amount - Amount
+     * @param {string} currency - ISO 4217 currency code
+     * @returns {string} - e.g. "$760.00"
+     */
+    formatAmount(amount, currency) {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency || 'USD' }).format(amount);
+    },
+    
+    /**
+     * Format a YYYY-MM-DD date for display
+     * @param {string} value - Date string
+     * @returns {string} - Localized date
+     */
+    formatDate(value) {
+        return new Date(`${value}T00:00:00`).toLocaleDateString();
+    },
+    
+    /**
+     * Today's date as YYYY-MM-DD (local calendar day)
+     * @returns {string} - Date string
+     */
+    today() {
+        const now = new Date();
+        return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    }
+};
+
+// Make Fees available globally
+window.Fees = Fees;
@@ -0,0 +1,108 @@
+/**
+ * Visa Guide AIA - Mailer
+ * Delivers outgoing messages (such as password reset links) through a pluggable transport
+ */
+
+const Mailer = {
+    // Storage key for the local outbox
+    OUTBOX_KEY: 'visa_outbox',
+    
+    // Number of messages kept in the local outbox
+    OUTBOX_LIMIT: 50,
+    
+    // Name of the transport used by send()
+    activeTransport: 'outbox',
+    
+    /**
+     * Available transports. Each one has an async send(message) method.
+     * A message is { to, subject, text, link? }.
+     */
+    transports: {
+        // Log messages to the browser console
+        console: {
+            async send(message) {
+                console.info(`[Mailer] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+                return { success: true };
+            }
+        },
+        
+        // Keep messages in app storage (and log them) so the demo works without a mail server
+        outbox: {
+            async send(message) {
+                const outbox = await Mailer.getOutbox();
+                outbox.unshift({
+                    id: Storage.generateId('msg_'),
+                    ...message,
+                    sentAt: new Date().toISOString()
+                });
+                await Storage.set(Mailer.OUTBOX_KEY, outbox.slice(0, Mailer.OUTBOX_LIMIT));
+                
+                await Mailer.transports.console.send(message);
+                return { success: true };
+            }
+        },
+        
+        // Slot for a real email provider; replace with registerTransport('email', ...)
+        email: {
+            async send() {
+                return { success: false, message: 'Email delivery is not configured' };
+            }
+        }
+    },
+    
+    /**
+     * Register (or replace) a transport
+     * @param {string} name - Transport name
+     * @param {object} transport - Object with an async send(message) method
+     */
+    registerTransport(name, transport) {
+        if (!transport || typeof transport.send !== 'function') {
+            throw new Error('A transport must provide a send(message) method');
+        }
+        this.transports[name] = transport;
+    },
+    
+    /**
+     * Select the transport used for outgoing messages
+     * @param {string} name - Transport name
+     */
+    useTransport(name) {
+        if (!this.transports[name]) {
+            throw new Error(`Unknown mail transport: ${name}`);
+        }
+        this.activeTransport = name;
+    },
+    
+    /**
+     * Whether messages stay in this browser instead of reaching a real inbox
+     * @returns {boolean} - True for the console and outbox transports
+     */
+    isLocalTransport() {
+        return this.activeTransport === 'console' || this.activeTransport === 'outbox';
+    },
+    
+    /**
+     * Send a message through the active transport
+     * @param {object} message - Message ({ to, subject, text, link? })
+     * @returns {Promise<object>} - Result object with success status
+     */
+    async send(message) {
+        try {
+            return await this.transports[this.activeTransport].send(message);
+        } catch (error) {
+            console.error('Error sending message:', error);
+            return { success: false, message: 'Could not send message' };
+        }
+    },
+    
+    /**
+     * Get messages stored in the local outbox, newest first
+     * @returns {Promise<Array>} - Array of message objects
+     */
+    async getOutbox() {
+        return await Storage.get(this.OUTBOX_KEY) || [];
+    }
+};
+
+// Make Mailer available globally
+window.Mailer = Mailer;
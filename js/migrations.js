@@ -0,0 +1,314 @@
+/**
+ * Visa Guide AIA - Schema Migrations
+ * Brings stored data up to the current shape before the pages read it.
+ *
+ * The stored schema version lives under SCHEMA_VERSION_KEY. Each migration in
+ * the registry moves the data from version - 1 to version. To change a stored
+ * shape, append a migration with the next version number; never edit one that
+ * has already shipped.
+ */
+
+const Migrations = {
+    // Storage key holding the schema version of the stored data
+    SCHEMA_VERSION_KEY: 'visa_schema_version',
+    
+    // Storage key holding a copy of the data taken before the latest step
+    BACKUP_KEY: 'visa_migration_backup',
+    
+    /**
+     * Ordered migrations. Each one lists the storage keys it reads or writes
+     * (these are backed up before it runs) and an async up(tx) function that
+     * rewrites them through the transaction.
+     */
+    registry: [
+        {
+            version: 1,
+            description: 'Normalize civics progress records',
+            keys: ['civics_progress'],
+            async up(tx) {
+                const progress = await tx.get('civics_progress');
+                if (!progress) return;
+                
+                Object.keys(progress).forEach(userId => {
+                    const entry = progress[userId] || {};
+                    const cards = Array.isArray(entry.completedFlashcards) ? entry.completedFlashcards : [];
+                    progress[userId] = {
+                        questionsAnswered: Number(entry.questionsAnswered) || 0,
+                        correctAnswers: Number(entry.correctAnswers) || 0,
+                        completedFlashcards: Array.from(new Set(cards.filter(Number.isInteger)))
+                    };
+                });
+                await tx.set('civics_progress', progress);
+            }
+        },
+        {
+            version: 2,
+            description: 'Normalize chat history messages',
+            keys: ['chat_history'],
+            async up(tx) {
+                const history = await tx.get('chat_history');
+                if (!history) return;
+                
+                Object.keys(history).forEach(userId => {
+                    const messages = Array.isArray(history[userId]) ? history[userId] : [];
+                    history[userId] = messages
+                        .filter(message => message && typeof message.content === 'string')
+                        .map(message => ({
+                            role: message.role === 'user' ? 'user' : 'bot',
+                            content: message.content,
+                            timestamp: message.timestamp || null
+                        }));
+                });
+                await tx.set('chat_history', history);
+            }
+        },
+        {
+            version: 3,
+            description: 'Backfill required user and application fields',
+            keys: ['visa_users', 'visa_applications'],
+            async up(tx) {
+                const users = await tx.get('visa_users');
+                if (users) {
+                    await tx.set('visa_users', users.map(user => ({
+                        ...user,
+                        createdAt: user.createdAt || null,
+                        profile: {
+                            fullName: user.name || '',
+                            email: user.email || '',
+                            phone: '',
+                            nationality: '',
+                            currentLocation: '',
+                            ...(user.profile || {})
+                        },
+                        applications: Array.isArray(user.applications) ? user.applications : []
+                    })));
+                }
+                
+                const applications = await tx.get('visa_applications');
+                if (applications) {
+                    await tx.set('visa_applications', applications.map(app => ({
+                        ...app,
+                        status: app.status || 'pending',
+                        createdAt: app.createdAt || null,
+                        updatedAt: app.updatedAt || app.createdAt || null
+                    })));
+                }
+            }
+        },
+        {
+            version: 4,
+            description: 'Drop the denormalized user.applications summaries',
+            keys: ['visa_users'],
+            async up(tx) {
+                const users = await tx.get('visa_users');
+                if (!users) return;
+                
+                // Summaries are now built from visa_applications by Storage.getApplicationSummaries
+                users.forEach(user => {
+                    delete user.applications;
+                });
+                await tx.set('visa_users', users);
+            }
+        },
+        {
+            version: 5,
+            description: 'Start an application history from the recorded dates',
+            keys: ['visa_applications'],
+            async up(tx) {
+                const applications = await tx.get('visa_applications');
+                if (!applications) return;
+                
+                // Storage has loaded by the time migrations run (see Storage.useBackend)
+                const event = (type, at, from, to, note = '') => ({
+                    id: Storage.generateId('hist_'),
+                    type: type,
+                    at: at,
+                    actorId: null,
+                    field: null,
+                    from: from,
+                    to: to,
+                    note: note,
+                    redacted: false
+                });
+                
+                applications.forEach(app => {
+                    if (Array.isArray(app.history)) return;
+                    
+                    // Earlier versions only kept the latest status, so rebuild what the dates show
+                    app.history = [event('status', app.createdAt, null, app.status === 'draft' || app.submittedAt ? 'draft' : 'pending')];
+                    if (app.submittedAt) {
+                        app.history.push(event('status', app.submittedAt, 'draft', 'pending'));
+                    }
+                    if (app.status !== 'draft' && app.status !== 'pending') {
+                        const at = app.approvedAt || app.withdrawnAt || app.updatedAt;
+                        app.history.push(event('status', at, 'pending', app.status, app.withdrawalReason || app.adminNotes || ''));
+                    }
+                });
+                await tx.set('visa_applications', applications);
+            }
+        },
+        {
+            version: 6,
+            description: 'Map free-form application statuses onto the status lifecycle',
+            keys: ['visa_applications'],
+            async up(tx) {
+                const applications = await tx.get('visa_applications');
+                if (!applications) return;
+                
+                const known = ['draft', 'pending', 'under_review', 'additional_info_requested', 'approved', 'rejected', 'withdrawn'];
+                const aliases = { submitted: 'pending', in_review: 'under_review', denied: 'rejected' };
+                
+                applications.forEach(app => {
+                    const status = String(app.status || '').toLowerCase().replace(/[\s-]+/g, '_');
+                    app.status = known.includes(status) ? status : aliases[status] || 'pending';
+                });
+                await tx.set('visa_applications', applications);
+            }
+        },
+        {
+            version: 7,
+            description: 'Give every existing user the applicant role',
+            keys: ['visa_users'],
+            async up(tx) {
+                const users = await tx.get('visa_users');
+                if (!users) return;
+                
+                users.forEach(user => {
+                    user.role = user.role === 'admin' ? 'admin' : 'applicant';
+                });
+                await tx.set('visa_users', users);
+            }
+        },
+        {
+            version: 8,
+            description: 'Record when approved and rejected applications were decided',
+            keys: ['visa_applications'],
+            async up(tx) {
+                const applications = await tx.get('visa_applications');
+                if (!applications) return;
+                
+                applications.forEach(app => {
+                    if (app.decidedAt || (app.status !== 'approved' && app.status !== 'rejected')) return;
+                    
+                    const decision = (app.history || []).filter(event => event.type === 'status' && event.to === app.status).pop();
+                    app.decidedAt = (decision && decision.at) || app.approvedAt || app.updatedAt || null;
+                });
+                await tx.set('visa_applications', applications);
+            }
+        }
+    ],
+    
+    /**
+     * The schema version this code expects
+     * @returns {number} - Highest registered version
+     */
+    getLatestVersion() {
+        return this.registry.reduce((latest, migration) => Math.max(latest, migration.version), 0);
+    },
+    
+    /**
+     * Run every pending migration in order. A step that fails is rolled back
+     * from its backup and stops the run, leaving the data at the last good version.
+     * @param {object} backend - Storage backend to migrate
+     * @returns {Promise<object>} - Result object with success status and version
+     */
+    async run(backend) {
+        let version = await this.getVersion(backend);
+        
+        if (version > this.getLatestVersion()) {
+            console.warn(`Stored data is at schema version ${version}, newer than this code (${this.getLatestVersion()})`);
+            return { success: true, version: version };
+        }
+        
+        const pending = this.registry
+            .filter(migration => migration.version > version)
+            .sort((a, b) => a.version - b.version);
+        
+        for (const migration of pending) {
+            const backup = await this.backup(backend, migration, version);
+            
+            try {
+                await backend.transaction(async tx => {
+                    // Another tab may have run this step while we were waiting
+                    if ((Number(await tx.get(this.SCHEMA_VERSION_KEY)) || 0) >= migration.version) return;
+                    
+                    await migration.up(tx);
+                    await tx.set(this.SCHEMA_VERSION_KEY, migration.version);
+                });
+            } catch (error) {
+                console.error(`Migration ${migration.version} (${migration.description}) failed:`, error);
+                await this.restore(backend, backup);
+                return { success: false, version: version, message: `Migration ${migration.version} failed: ${error.message}` };
+            }
+            
+            version = migration.version;
+        }
+        
+        return { success: true, version: version };
+    },
+    
+    /**
+     * Get the schema version of the stored data (0 for data written before versioning)
+     * @param {object} backend - Storage backend
+     * @returns {Promise<number>} - Schema version
+     */
+    async getVersion(backend) {
+        return Number(await backend.get(this.SCHEMA_VERSION_KEY)) || 0;
+    },
+    
+    /**
+     * Save a copy of the keys a migration touches
+     * @param {object} backend - Storage backend
+     * @param {object} migration - Migration about to run
+     * @param {number} fromVersion - Current schema version
+     * @returns {Promise<object>} - The backup record
+     */
+    async backup(backend, migration, fromVersion) {
+        const data = {};
+        for (const key of migration.keys) {
+            data[key] = await backend.get(key);
+        }
+        
+        const backup = {
+            fromVersion: fromVersion,
+            toVersion: migration.version,
+            createdAt: new Date().toISOString(),
+            data: data
+        };
+        await backend.set(this.BACKUP_KEY, backup);
+        return backup;
+    },
+    
+    /**
+     * Put backed-up keys and the schema version back as they were
+     * @param {object} backend - Storage backend
+     * @param {object} backup - Backup record (defaults to the latest stored backup)
+     * @returns {Promise<object>} - Result object with success status
+     */
+    async restore(backend, backup = null) {
+        backup = backup || await backend.get(this.BACKUP_KEY);
+        if (!backup) {
+            return { success: false, message: 'No migration backup found' };
+        }
+        
+        try {
+            await backend.transaction(async tx => {
+                for (const [key, value] of Object.entries(backup.data)) {
+                    if (value === null) {
+                        await tx.remove(key);
+                    } else {
+                        await tx.set(key, value);
+                    }
+                }
+                await tx.set(this.SCHEMA_VERSION_KEY, backup.fromVersion);
+            });
+            return { success: true, message: `Restored data to schema version ${backup.fromVersion}` };
+        } catch (error) {
+            console.error('Error restoring migration backup:', error);
+            return { success: false, message: 'Could not restore migration backup' };
+        }
+    }
+};
+
+// Make Migrations available globally
+window.Migrations = Migrations;
@@ -0,0 +1,307 @@
+/**
+ * Visa Guide AIA - Naturalization Eligibility
+ * Works out when a permanent resident can apply for U.S. citizenship (Form N-400)
+ * from their green card date, marriage to a U.S. citizen and trip log.
+ *
+ * Rules applied:
+ *   Residence       - 5 years as a permanent resident, or 3 years when married to and
+ *                     living with a U.S. citizen (counted from the later of the green
+ *                     card and the marriage)
+ *   Early filing    - The N-400 can be filed 90 days before the residence requirement is met
+ *   Physical presence - At least half the residence period (913 or 548 days) spent in the
+ *                     U.S. during the years before filing; departure and return days count
+ *                     as days in the U.S.
+ *   Continuous residence - A trip of more than 6 months may break it (the applicant must show
+ *                     otherwise); a trip of a year or more breaks it and the clock restarts
+ *                     on return
+ *   Travel history  - The N-400 (and many visa forms) ask for every trip outside the U.S.
+ *                     in the last 5 years
+ *
+ * Dates are plain YYYY-MM-DD strings and are counted in whole days. These are general
+ * guidance only; applicants should confirm with USCIS or an immigration attorney.
+ */
+
+const Naturalization = {
+    DAY_MS: 24 * 60 * 60 * 1000,
+    
+    // Days before the residence anniversary the N-400 can be filed
+    EARLY_FILING_DAYS: 90,
+    
+    // Residence paths: years required -> days of physical presence required
+    paths: {
+        5: { label: '5 years as a permanent resident', presenceDays: 913 },
+        3: { label: '3 years as a permanent resident married to a U.S. citizen', presenceDays: 548 }
+    },
+    
+    // Trips longer than these may break continuous residence / always break it
+    PRESUMED_BREAK_DAYS: 180,
+    BREAK_DAYS: 365,
+    
+    // Years of trips the application forms ask about
+    RECENT_TRAVEL_YEARS: 5,
+    
+    concerns: {
+        presumed: 'May break continuous residence (over 6 months abroad)',
+        breaks: 'Breaks continuous residence (a year or more abroad)'
+    },
+    
+    /**
+     * Work out naturalization eligibility
+     * @param {object} details - { permanentResidentSince, marriedToCitizen ('yes'), citizenSpouseSince?, trips: [{ departureDate, returnDate?, countries?, purpose? }] }
+     * @param {number} now - Current time in milliseconds
+     * @returns {object} - Eligibility ({ ready: false, message } until a green card date is given)
+     */
+    evaluate(details, now = Date.now()) {
+        if (!details.permanentResidentSince) {
+            return { ready: false, message: 'Enter the date you became a permanent resident to check your eligibility' };
+        }
+        
+        const today = this.toDay(now);
+        const greenCardDay = this.toDay(details.permanentResidentSince);
+        const years = details.marriedToCitizen === 'yes' ? 3 : 5;
+        const path = this.paths[years];
+        
+        // Time abroad on each trip since becoming a permanent resident; a trip with no
+        // return date is still going on (its `end` stays open for future filing dates)
+        const trips = (details.trips || [])
+            .filter(trip => trip.departureDate)
+            .map(trip => {
+                const start = this.toDay(trip.departureDate);
+                const end = trip.returnDate ? this.toDay(trip.returnDate) : Infinity;
+                const daysAbroad = Math.max(0, Math.min(end, today + 1) - start - 1);
+                let concern = null;
+                if (daysAbroad >= this.BREAK_DAYS) {
+                    concern = 'breaks';
+                } else if (daysAbroad > this.PRESUMED_BREAK_DAYS) {
+                    concern = 'presumed';
+                }
+                return { ...trip, start: start, end: end, daysAbroad: daysAbroad, concern: end > greenCardDay ? concern : null };
+            })
+            .sort((a, b) => a.start - b.start);
+        
+        // The residence clock starts with the green card, restarts after a year-long absence,
+        // and on the 3-year path cannot start before the marriage
+        let residenceStart = greenCardDay;
+        trips.filter(trip => trip.concern === 'breaks').forEach(trip => {
+            residenceStart = Math.max(residenceStart, Math.min(trip.end, today));
+        });
+        if (years === 3 && details.citizenSpouseSince) {
+            residenceStart = Math.max(residenceStart, this.toDay(details.citizenSpouseSince));
+        }
+        
+        const eligibilityDay = this.addYears(residenceStart, years);
+        const earliestFilingDay = eligibilityDay - this.EARLY_FILING_DAYS;
+        
+        // Physical presence must also be met; move the filing date later until it is,
+        // giving up if it is not met within another full residence period (e.g. still abroad)
+        let filingDay = Math.max(earliestFilingDay, today);
+        const lastDay = filingDay + years * 366;
+        while (filingDay <= lastDay && this.getPresence(trips, greenCardDay, filingDay, years).daysInUS < path.presenceDays) {
+            filingDay++;
+        }
+        const canFile = filingDay <= lastDay;
+        
+        const presence = this.getPresence(trips, greenCardDay, today, years);
+        return {
+            ready: true,
+            residenceYears: years,
+            pathLabel: path.label,
+            residenceStart: this.toDateString(residenceStart),
+            eligibilityDate: this.toDateString(eligibilityDay),
+            earliestFilingDate: this.toDateString(earliestFilingDay),
+            filingDate: canFile ? this.toDateString(filingDay) : null,
+            canFileNow: canFile && filingDay <= today,
+            daysUntilFiling: canFile ? Math.max(0, filingDay - today) : null,
+            presence: {
+                ...presence,
+                required: path.presenceDays,
+                met: presence.daysInUS >= path.presenceDays
+            },
+            trips: trips.map(({ start, end, ...trip }) => trip),
+            concerns: trips.filter(trip => trip.concern).map(({ start, end, ...trip }) => trip),
+            clockRestarted: residenceStart !== greenCardDay,
+            travel: this.summarizeTrips(details.trips || [], now)
+        };
+    },
+    
+    /**
+     * Count days in and out of the U.S. during the residence period before a date
+     * @param {Array} trips - Trips with `start` and `end` day numbers
+     * @param {number} greenCardDay - Day the user became a permanent resident
+     * @param {number} endDay - Last day of the period (the filing date)
+     * @param {number} years - Length of the period in years
+     * @returns {object} - { periodStart, periodEnd, daysInUS, daysAbroad }
+     */
+    getPresence(trips, greenCardDay, endDay, years) {
+        const startDay = Math.max(greenCardDay, this.addYears(endDay, -years));
+        const periodDays = Math.max(0, endDay - startDay + 1);
+        
+        // Days strictly between departure and return that fall inside the period
+        const daysAbroad = trips.reduce((total, trip) => {
+            const from = Math.max(trip.start + 1, startDay);
+            const to = Math.min(trip.end - 1, endDay);
+            return total + Math.max(0, to - from + 1);
+        }, 0);
+        
+        return {
+            periodStart: this.toDateString(startDay),
+            periodEnd: this.toDateString(endDay),
+            daysInUS: periodDays - daysAbroad,
+            daysAbroad: daysAbroad
+        };
+    },
+    
+    /**
+     * Work out the signed-in user's eligibility from their profile and trip log
+     * @param {string} userId - User ID
+     * @returns {Promise<object>} - Eligibility (see evaluate), or a forbidden result
+     */
+    async getEligibility(userId) {
+        const denied = await Storage.authorize('user:read', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const user = await Storage.readUser(userId);
+        const profile = (user && user.profile) || {};
+        return this.evaluate({ ...profile, trips: await Storage.getTrips(userId) });
+    },
+    
+    /**
+     * Summarise an eligibility result in a few lines (for the assistant)
+     * @param {object} result - Eligibility from evaluate
+     * @returns {string} - Plain text with ** for emphasis
+     */
+    describe(result) {
+        if (!result.ready) {
+            return `**Your eligibility:** ${result.message} on the Citizenship Eligibility page.`;
+        }
+        
+        const lines = [`**Your eligibility** (from your profile and trip log):`, `- Path: ${result.pathLabel}`];
+        if (result.canFileNow) {
+            lines.push('- You can file your N-400 now');
+        } else if (result.filingDate) {
+            lines.push(`- Earliest filing date: ${this.formatDate(result.filingDate)} (${result.daysUntilFiling} days from now)`);
+        } else {
+            lines.push('- A filing date cannot be worked out until you return to the U.S.');
+        }
+        lines.push(`- Physical presence: ${result.presence.daysInUS} days in the U.S. since ${this.formatDate(result.presence.periodStart)} (${result.presence.required} needed)`);
+        result.concerns.forEach(trip => {
+            lines.push(`- Trip to ${trip.countries || 'abroad'} from ${this.formatDate(trip.departureDate)} (${trip.daysAbroad} days): ${this.concerns[trip.concern].toLowerCase()}`);
+        });
+        if (result.travel.recent.length > 0) {
+            lines.push(`- Trips abroad in the last ${this.RECENT_TRAVEL_YEARS} years: ${result.travel.recent.length} (${result.travel.recentDaysAbroad} days); the N-400 asks you to list each one`);
+        }
+        return lines.join('\n');
+    },
+    
+    // ===== Travel Summary =====
+    
+    /**
+     * Total a trip log by calendar year and pick out the trips of the last 5 years
+     * Days abroad are the days strictly between departure and return, as for physical presence;
+     * a trip with no return date counts up to today.
+     * @param {Array} trips - Trips ({ departureDate, returnDate?, countries?, purpose? })
+     * @param {number} now - Current time in milliseconds
+     * @returns {object} - { byYear: [{ year, trips, daysAbroad }] (latest first), since, recent (trips
+     *                     with daysAbroad, latest first), recentDaysAbroad }
+     */
+    summarizeTrips(trips, now = Date.now()) {
+        const today = this.toDay(now);
+        const sinceDay = this.addYears(today, -this.RECENT_TRAVEL_YEARS);
+        const years = {};
+        
+        const dated = trips
+            .filter(trip => trip.departureDate)
+            .map(trip => {
+                const start = this.toDay(trip.departureDate);
+                const end = trip.returnDate ? this.toDay(trip.returnDate) : today + 1;
+                return { ...trip, start: start, end: end, daysAbroad: Math.max(0, end - start - 1) };
+            })
+            .sort((a, b) => b.start - a.start);
+        
+        dated.forEach(trip => {
+            // Split the days abroad across the years they fall in; a trip counts in the year it began
+            const startYear = new Date(trip.start * this.DAY_MS).getUTCFullYear();
+            const endYear = new Date(Math.max(trip.start, trip.end - 1) * this.DAY_MS).getUTCFullYear();
+            for (let year = startYear; year <= endYear; year++) {
+                const from = Math.max(trip.start + 1, this.toDay(`${year}-01-01`));
+                const to = Math.min(trip.end - 1, this.toDay(`${year}-12-31`));
+                years[year] = years[year] || { year: year, trips: 0, daysAbroad: 0 };
+                years[year].daysAbroad += Math.max(0, to - from + 1);
+            }
+            years[startYear].trips++;
+        });
+        
+        const recent = dated.filter(trip => trip.end >= sinceDay);
+        return {
+            byYear: Object.values(years).sort((a, b) => b.year - a.year),
+            since: this.toDateString(sinceDay),
+            recent: recent.map(({ start, end, ...trip }) => trip),
+            recentDaysAbroad: recent.reduce((total, trip) => {
+                return total + Math.max(0, trip.end - 1 - Math.max(trip.start + 1, sinceDay) + 1);
+            }, 0)
+        };
+    },
+    
+    /**
+     * List trips one per line, as the travel history section of an application form expects
+     * @param {Array} trips - Trips, e.g. `recent` from summarizeTrips
+     * @returns {string} - Lines like "2024-03-01 to 2024-03-15: France, Italy (Tourism)"
+     */
+    formatTrips(trips) {
+        return trips.map(trip => {
+            const purpose = trip.purpose ? ` (${trip.purpose})` : '';
+            return `${trip.departureDate} to ${trip.returnDate || 'present'}: ${trip.countries || 'Not recorded'}${purpose}`;
+        }).join('\n');
+    },
+    
+    // ===== Dates =====
+    
+    /**
+     * Convert a date to a whole day number (days since 1970-01-01, UTC)
+     * @param {string|number|Date} value - YYYY-MM-DD string, timestamp or Date (local calendar day)
+     * @returns {number} - Day number
+     */
+    toDay(value) {
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+            const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+            return Math.round(Date.UTC(year, month - 1, day) / this.DAY_MS);
+        }
+        const date = new Date(value);
+        return Math.round(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / this.DAY_MS);
+    },
+    
+    /**
+     * Convert a day number back to a YYYY-MM-DD string
+     * @param {number} day - Day number
+     * @returns {string} - Date string
+     */
+    toDateString(day) {
+        return new Date(day * this.DAY_MS).toISOString().slice(0, 10);
+    },
+    
+    /**
+     * Add whole years to a day number (29 February becomes 1 March in other years)
+     * @param {number} day - Day number
+     * @param {number} years - Years to add (negative to subtract)
+     * @returns {number} - Day number
+     */
+    addYears(day, years) {
+        const date = new Date(day * this.DAY_MS);
+        date.setUTCFullYear(date.getUTCFullYear() + years);
+        return Math.round(date.getTime() / this.DAY_MS);
+    },
+    
+    /**
+     * Format a YYYY-MM-DD date for display
+     * @param {string} value - Date string
+     * @returns {string} - Localized date
+     */
+    formatDate(value) {
+        return new Date(`${value}T00:00:00`).toLocaleDateString();
+    }
+};
+
+// Make Naturalization available globally
+window.Naturalization = Naturalization;
@@ -0,0 +1,201 @@
+/**
+ * Visa Guide AIA - Processing Times
+ * Expected milestones for each application, estimated from a table of normal processing
+ * times keyed by form and office, and compared with the dates that actually happened.
+ *
+ * Milestones, in order (the actual date each one is read from):
+ *   filed      - Submitted (submittedAt)
+ *   biometrics - Fingerprints and photo (biometricsAppointment, scheduled by the case officer)
+ *   interview  - Interview (interviewAppointment)
+ *   decision   - Approved or rejected (decidedAt)
+ *   oath       - Oath ceremony, for naturalization (oathAppointment)
+ *
+ * Table rows: { form, office, days: { milestone: [from, to] } } give the normal range, in days
+ * after filing, for each milestone the form goes through at that office; milestones left out do
+ * not apply there. A visa application ('visa' form) is handled by its destination country's office.
+ * The most specific row wins ('*' matches any office). Deployments can add or replace rows with
+ * AppConfig.processingTimes, which are checked before these.
+ *
+ * Estimates are general guidance only; offices publish their current processing times.
+ */
+
+const ProcessingTimes = {
+    DAY_MS: 24 * 60 * 60 * 1000,
+    
+    milestones: {
+        filed: { label: 'Filed', icon: 'paper-plane' },
+        biometrics: { label: 'Biometrics', icon: 'fingerprint' },
+        interview: { label: 'Interview', icon: 'comments' },
+        decision: { label: 'Decision', icon: 'gavel' },
+        oath: { label: 'Oath ceremony', icon: 'flag-usa' }
+    },
+    
+    table: [
+        { form: 'visa', office: '*', days: { biometrics: [7, 28], interview: [14, 60], decision: [15, 90] } },
+        { form: 'visa', office: 'United States', days: { biometrics: [14, 60], interview: [30, 180], decision: [30, 200] } },
+        { form: 'visa', office: 'United Kingdom', days: { biometrics: [3, 21], decision: [15, 56] } },
+        { form: 'visa', office: 'Canada', days: { biometrics: [7, 30], decision: [14, 120] } },
+        { form: 'visa', office: 'Australia', days: { decision: [7, 60] } },
+        { form: 'N-400', office: '*', days: { biometrics: [21, 60], interview: [120, 330], decision: [120, 365], oath: [150, 420] } }
+    ],
+    
+    /**
+     * Find the processing times for a form at an office
+     * @param {string} form - 'visa' or a USCIS form number
+     * @param {string} office - Office (a country for visa applications)
+     * @returns {object|null} - Table row, or null if there is none
+     */
+    getRow(form, office) {
+        const rows = [...(AppConfig.processingTimes || []), ...this.table]
+            .filter(row => row.form === form && (row.office === office || row.office === '*'));
+        return rows.find(row => row.office === office) || rows[0] || null;
+    },
+    
+    /**
+     * Get the dates an application's milestones actually happened (or are scheduled for)
+     * @param {object} application - Application or application summary
+     * @returns {object} - Milestone ID -> ISO date string, or null
+     */
+    getActualDates(application) {
+        return {
+            filed: application.status === 'draft' ? null : application.submittedAt || application.createdAt || null,
+            biometrics: application.biometricsAppointment || null,
+            interview: application.interviewAppointment || null,
+            decision: application.decidedAt || null,
+            oath: application.oathAppointment || null
+        };
+    },
+    
+    /**
+     * Estimate an application's milestones and compare them with what has happened.
+     * A draft is estimated as if it were filed today.
+     * @param {object} application - Application or application summary (form?, destination, status, dates)
+     * @param {number} now - Current time in milliseconds
+     * @returns {object|null} - { office, milestones: [{ id, label, icon, expectedFrom, expectedTo, actual, state, late }],
+     *                          decision (the decision milestone), pastNormalRange, late (milestones past their range) },
+     *                          or null if the table has no times for it. States: 'done', 'scheduled', 'pending',
+     *                          'overdue' (not happened and past its range) or 'skipped' (no longer expected)
+     */
+    estimate(application, now = Date.now()) {
+        const office = application.destination || '*';
+        const row = this.getRow(application.form || 'visa', office);
+        if (!row) {
+            return null;
+        }
+        
+        const actual = this.getActualDates(application);
+        const today = this.toDateString(now);
+        const filed = actual.filed ? this.toDateString(actual.filed) : today;
+        const status = application.status;
+        const open = status === 'draft' || ApplicationStatus.isInProgress(status);
+        
+        const milestones = Object.keys(this.milestones)
+            .filter(id => id === 'filed' || row.days[id])
+            .map(id => {
+                const [from, to] = id === 'filed' ? [0, 0] : row.days[id];
+                const expectedFrom = this.addDays(filed, from);
+                const expectedTo = this.addDays(filed, to);
+                const date = actual[id];
+                
+                // The oath follows an approval; everything else stops once the application is closed
+                const expected = id === 'oath' ? open || status === 'approved' : open;
+                let state;
+                if (date) {
+                    state = new Date(date).getTime() <= now ? 'done' : 'scheduled';
+                } else if (id === 'decision' && ApplicationStatus.isDecision(status)) {
+                    state = 'done';
+                } else if (!expected) {
+                    state = 'skipped';
+                } else {
+                    state = status !== 'draft' && expectedTo < today ? 'overdue' : 'pending';
+                }
+                
+                return {
+                    id: id,
+                    ...this.milestones[id],
+                    expectedFrom: expectedFrom,
+                    expectedTo: expectedTo,
+                    actual: date,
+                    state: state,
+                    late: state === 'overdue' || Boolean(date && this.toDateString(date) > expectedTo)
+                };
+            });
+        
+        const late = milestones.filter(milestone => milestone.late);
+        return {
+            office: row.office,
+            milestones: milestones,
+            decision: milestones.find(milestone => milestone.id === 'decision') || null,
+            pastNormalRange: late.some(milestone => milestone.state === 'overdue' || milestone.state === 'scheduled'),
+            late: late
+        };
+    },
+    
+    /**
+     * Describe a range of days after filing in weeks or months
+     * @param {Array} range - [from, to] in days
+     * @returns {string} - e.g. "2-9 weeks" or "4-11 months"
+     */
+    describeRange([from, to]) {
+        if (to <= 60) {
+            return `${Math.max(1, Math.round(from / 7))}-${Math.ceil(to / 7)} weeks`;
+        }
+        return `${Math.max(1, Math.round(from / 30.4))}-${Math.ceil(to / 30.4)} months`;
+    },
+    
+    /**
+     * Summarise the normal processing times for a form (for the assistant)
+     * @param {string} form - 'visa' or a USCIS form number
+     * @param {string} office - Office, or '*' for the general times
+     * @returns {string} - One line per milestone, e.g. "- Interview: 4-11 months after filing"
+     */
+    describe(form, office = '*') {
+        const row = this.getRow(form, office);
+        if (!row) {
+            return `We do not have processing times for ${form}.`;
+        }
+        
+        return Object.keys(this.milestones)
+            .filter(id => row.days[id])
+            .map(id => `- ${this.milestones[id].label}: ${this.describeRange(row.days[id])} after filing`)
+            .join('\n');
+    },
+    
+    // ===== Dates =====
+    
+    /**
+     * Convert a date to a local YYYY-MM-DD string
+     * @param {string|number|Date} value - Date, timestamp or date string (YYYY-MM-DD is kept as it is)
+     * @returns {string} - Date string
+     */
+    toDateString(value) {
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return value;
+        }
+        const date = new Date(value);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    },
+    
+    /**
+     * Add days to a YYYY-MM-DD date
+     * @param {string} value - Date string
+     * @param {number} days - Days to add
+     * @returns {string} - Date string
+     */
+    addDays(value, days) {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day) + days * this.DAY_MS).toISOString().slice(0, 10);
+    },
+    
+    /**
+     * Format a YYYY-MM-DD date for display
+     * @param {string} value - Date string
+     * @returns {string} - Localized date
+     */
+    formatDate(value) {
+        return new Date(`${value}T00:00:00`).toLocaleDateString();
+    }
+};
+
+// Make ProcessingTimes available globally
+window.ProcessingTimes = ProcessingTimes;
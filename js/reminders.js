@@ -0,0 +1,429 @@
+/**
+ * Visa Guide AIA - Reminders
+ * Upcoming deadlines worked out from a user's applications, saved passports, profile
+ * and trip log, together with the snooze and dismiss state of each reminder. The dashboard
+ * lists them in its notification center and, once the user allows it, shows new ones
+ * as browser notifications through the service worker (sw.js).
+ *
+ * A reminder is { id, type, severity, title, message, dueDate, link }. Its id includes
+ * the dates it was worked out from, so a dismissed reminder comes back if they change.
+ *
+ * Reminder types:
+ *   passportValidity - An application's passport expires too soon after the trip
+ *   passportExpiry   - A saved passport has expired or expires soon
+ *   departure        - Departure is close and the application has no decision yet
+ *   biometrics, interview, oath - An appointment the case officer scheduled is coming up
+ *   naturalization   - The N-400 early-filing window is about to open, or is open
+ *
+ * Notification messages leave out passport numbers and other encrypted details,
+ * since the operating system may show them on the lock screen.
+ */
+
+const Reminders = {
+    DAY_MS: 24 * 60 * 60 * 1000,
+    
+    // Remind about departures and appointments (biometrics, interviews...) this many days ahead
+    DEPARTURE_WARNING_DAYS: 14,
+    APPOINTMENT_WARNING_DAYS: 7,
+    
+    // Remind about the N-400 filing date (see naturalization.js) this many days ahead
+    NATURALIZATION_NOTICE_DAYS: 30,
+    
+    // Snooze choices: days -> label
+    SNOOZE_OPTIONS: {
+        1: 'Tomorrow',
+        7: 'Next week'
+    },
+    
+    // Service worker that shows reminder notifications
+    SERVICE_WORKER_URL: 'sw.js',
+    
+    severities: {
+        urgent: { label: 'Urgent', icon: 'exclamation-circle', color: '#b91c1c', background: '#fee2e2' },
+        warning: { label: 'Soon', icon: 'exclamation-triangle', color: '#b45309', background: '#fef3c7' },
+        info: { label: 'Upcoming', icon: 'info-circle', color: '#1d4ed8', background: '#dbeafe' }
+    },
+    
+    // ===== Rules =====
+    
+    /**
+     * Each rule receives { applications, passports, profile, naturalization } and the current time,
+     * and returns the reminders it finds
+     */
+    rules: {
+        passportValidity(context, now) {
+            return context.applications
+                .filter(app => Reminders.isActive(app) && app.passportExpiry && (app.returnDate || app.departureDate))
+                .filter(app => Reminders.daysUntil(app.returnDate || app.departureDate, now) >= 0)
+                .map(app => {
+                    const tripEnd = app.returnDate || app.departureDate;
+                    const months = typeof VisaRules !== 'undefined'
+                        ? VisaRules.getRules(app.destination, app.visaType).passportValidityMonths
+                        : 6;
+                    const validUntil = Reminders.parseDate(tripEnd);
+                    validUntil.setMonth(validUntil.getMonth() + months);
+                    if (Reminders.parseDate(app.passportExpiry) >= validUntil) return null;
+                    
+                    const expiresBeforeDeparture = app.departureDate && app.passportExpiry < app.departureDate;
+                    return {
+                        id: `passportValidity:${app.id}:${app.passportExpiry}:${tripEnd}`,
+                        type: 'passportValidity',
+                        severity: expiresBeforeDeparture ? 'urgent' : 'warning',
+                        title: `Passport expires too soon for your trip to ${app.destination || 'your destination'}`,
+                        message: `Your passport needs to be valid for ${months} months after you return, until ${Reminders.formatDate(validUntil)}, but it expires on ${Reminders.formatDate(app.passportExpiry)}. Renew it before you travel.`,
+                        dueDate: app.departureDate || tripEnd,
+                        link: `application.html?id=${encodeURIComponent(app.id)}`
+                    };
+                })
+                .filter(Boolean);
+        },
+        
+        passportExpiry(context) {
+            return context.passports
+                .filter(passport => passport.expiry.status === 'expired' || passport.expiry.status === 'expiring')
+                .map(passport => {
+                    const expired = passport.expiry.status === 'expired';
+                    return {
+                        id: `passportExpiry:${passport.id}:${passport.passportExpiry}`,
+                        type: 'passportExpiry',
+                        severity: expired ? 'urgent' : 'warning',
+                        title: expired ? 'A saved passport has expired' : `A saved passport expires in ${passport.expiry.daysLeft} days`,
+                        message: expired
+                            ? `It expired on ${Reminders.formatDate(passport.passportExpiry)}. Renew it before applying for a visa.`
+                            : `It expires on ${Reminders.formatDate(passport.passportExpiry)}. Many countries need a passport that is valid for months after your trip.`,
+                        dueDate: passport.passportExpiry,
+                        link: 'profile.html'
+                    };
+                });
+        },
+        
+        departure(context, now) {
+            return context.applications
+                .filter(app => app.departureDate && (app.status === 'draft' || ApplicationStatus.isInProgress(app.status)))
+                .map(app => ({ app: app, days: Reminders.daysUntil(app.departureDate, now) }))
+                .filter(({ days }) => days >= 0 && days <= Reminders.DEPARTURE_WARNING_DAYS)
+                .map(({ app, days }) => ({
+                    id: `departure:${app.id}:${app.departureDate}`,
+                    type: 'departure',
+                    severity: days <= 7 ? 'urgent' : 'warning',
+                    title: `You leave for ${app.destination || 'your trip'} ${Reminders.describeDays(days)}`,
+                    message: app.status === 'draft'
+                        ? 'Your application is still a draft. Submit it as soon as you can, or change your travel dates.'
+                        : `Your application is still ${ApplicationStatus.getLabel(app.status)}. Check with the embassy whether a decision will arrive in time.`,
+                    dueDate: app.departureDate,
+                    link: `application.html?id=${encodeURIComponent(app.id)}`
+                }));
+        },
+        
+        appointments(context, now) {
+            return context.applications.flatMap(app => Object.entries(Storage.APPOINTMENT_TYPES)
+                .filter(([type, appointmentType]) => app[`${type}Appointment`]
+                    && (appointmentType.afterApproval ? app.status === 'approved' : ApplicationStatus.isInProgress(app.status)))
+                .map(([type, appointmentType]) => ({ type: type, label: appointmentType.label, date: app[`${type}Appointment`], location: app[`${type}Location`] }))
+                .map(appointment => ({ ...appointment, days: Reminders.daysUntil(appointment.date, now) }))
+                .filter(({ days }) => days >= 0 && days <= Reminders.APPOINTMENT_WARNING_DAYS)
+                .map(({ type, label, date, location, days }) => ({
+                    id: `${type}:${app.id}:${date}`,
+                    type: type,
+                    severity: days <= 1 ? 'urgent' : 'info',
+                    title: `${label} ${Reminders.describeDays(days)}`,
+                    message: `For your ${app.visaType || 'visa'} application to ${app.destination || 'N/A'}: ${Reminders.formatDateTime(date)}${location ? ` at ${location}` : ''}. Bring your passport and appointment letter.`,
+                    dueDate: date,
+                    link: `application.html?id=${encodeURIComponent(app.id)}`
+                })));
+        },
+        
+        naturalization(context, now) {
+            const eligibility = context.naturalization;
+            if (!eligibility.ready || !eligibility.filingDate) return [];
+            
+            // From a month before the filing date until the residence anniversary has passed
+            const days = Reminders.daysUntil(eligibility.filingDate, now);
+            if (days > Reminders.NATURALIZATION_NOTICE_DAYS || Reminders.daysUntil(eligibility.eligibilityDate, now) < 0) return [];
+            
+            return [{
+                id: `naturalization:${eligibility.residenceStart}:${eligibility.residenceYears}`,
+                type: 'naturalization',
+                severity: 'info',
+                title: days > 0 ? `Your N-400 filing window opens ${Reminders.describeDays(days)}` : 'You can now file your N-400',
+                message: `On the ${eligibility.pathLabel} path you can apply for citizenship from ${Reminders.formatDate(eligibility.filingDate)}. Your ${eligibility.residenceYears}-year anniversary is ${Reminders.formatDate(eligibility.eligibilityDate)}.`,
+                dueDate: eligibility.filingDate,
+                link: 'naturalization.html'
+            }];
+        }
+    },
+    
+    /**
+     * Work out every reminder for a user's data
+     * @param {object} context - { applications, passports (each with `expiry` from Storage.getPassportExpiryStatus), profile, naturalization (from Naturalization.evaluate) }
+     * @param {number} now - Current time in milliseconds
+     * @returns {Array} - Reminders, soonest first
+     */
+    derive(context, now = Date.now()) {
+        return Object.values(this.rules)
+            .flatMap(rule => rule(context, now))
+            .sort((a, b) => this.parseDate(a.dueDate) - this.parseDate(b.dueDate));
+    },
+    
+    /**
+     * Check whether an application still needs its travel dates
+     * @param {object} app - Application
+     * @returns {boolean} - True unless it was rejected or withdrawn
+     */
+    isActive(app) {
+        return app.status !== 'rejected' && app.status !== 'withdrawn';
+    },
+    
+    // ===== Reminder State =====
+    
+    /**
+     * Get a user's current reminders with their snooze and dismiss state
+     * @param {string} userId - User ID
+     * @param {object} options - { includeHidden: also return snoozed and dismissed reminders }
+     * @returns {Promise<Array|object>} - Array of reminders, or a forbidden result
+     */
+    async getReminders(userId, options = {}) {
+        const denied = await Storage.authorize('reminder:read', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const now = Date.now();
+        const user = await Storage.readUser(userId);
+        const applications = await Storage.getUserApplications(userId);
+        const passports = (await Storage.getPassports(userId))
+            .filter(passport => !passport.locked)
+            .map(passport => ({ ...passport, expiry: Storage.getPassportExpiryStatus(passport, now) }));
+        
+        const profile = (user && user.profile) || {};
+        const naturalization = Naturalization.evaluate({ ...profile, trips: await Storage.getTrips(userId) }, now);
+        
+        const states = await this.getStates(userId);
+        return this.derive({ applications: applications, passports: passports, profile: profile, naturalization: naturalization }, now)
+            .map(reminder => {
+                const state = states.find(entry => entry.reminderId === reminder.id) || {};
+                return {
+                    ...reminder,
+                    snoozedUntil: state.snoozedUntil || null,
+                    dismissedAt: state.dismissedAt || null,
+                    notifiedAt: state.notifiedAt || null
+                };
+            })
+            .filter(reminder => options.includeHidden || !this.isHidden(reminder, now));
+    },
+    
+    /**
+     * Check whether a reminder is dismissed or snoozed
+     * @param {object} reminder - Reminder with its state
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} - True if it should not be shown
+     */
+    isHidden(reminder, now = Date.now()) {
+        return Boolean(reminder.dismissedAt) || (Boolean(reminder.snoozedUntil) && this.parseDate(reminder.snoozedUntil).getTime() > now);
+    },
+    
+    /**
+     * Get the stored snooze and dismiss state of a user's reminders
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} - Array of { userId, reminderId, snoozedUntil, dismissedAt, notifiedAt, updatedAt }
+     */
+    async getStates(userId) {
+        return (await Storage.get(Storage.REMINDERS_KEY) || []).filter(state => state.userId === userId);
+    },
+    
+    /**
+     * Change the stored state of some of a user's reminders
+     * @param {string} userId - User ID
+     * @param {Array} reminderIds - Reminder IDs
+     * @param {object} changes - State fields to set
+     * @returns {Promise<object>} - Result object
+     */
+    async updateStates(userId, reminderIds, changes) {
+        const denied = await Storage.authorize('reminder:write', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const updatedAt = new Date().toISOString();
+        await Storage.transaction(async tx => {
+            const states = await tx.get(Storage.REMINDERS_KEY) || [];
+            reminderIds.forEach(reminderId => {
+                const state = states.find(entry => entry.userId === userId && entry.reminderId === reminderId);
+                if (state) {
+                    Object.assign(state, changes, { updatedAt: updatedAt });
+                } else {
+                    states.push({ userId: userId, reminderId: reminderId, snoozedUntil: null, dismissedAt: null, notifiedAt: null, ...changes, updatedAt: updatedAt });
+                }
+            });
+            await tx.set(Storage.REMINDERS_KEY, states);
+        });
+        
+        Storage.emit('reminders:changed', { userId: userId, reminderIds: reminderIds });
+        return { success: true };
+    },
+    
+    /**
+     * Hide a reminder for a number of days
+     * @param {string} userId - User ID
+     * @param {string} reminderId - Reminder ID
+     * @param {number} days - Days to snooze for (see SNOOZE_OPTIONS)
+     * @returns {Promise<object>} - Result object
+     */
+    async snooze(userId, reminderId, days = 1) {
+        const until = new Date(Date.now() + Number(days) * this.DAY_MS);
+        return this.updateStates(userId, [reminderId], { snoozedUntil: until.toISOString(), notifiedAt: null });
+    },
+    
+    /**
+     * Hide a reminder until the dates it was worked out from change
+     * @param {string} userId - User ID
+     * @param {string} reminderId - Reminder ID
+     * @returns {Promise<object>} - Result object
+     */
+    async dismiss(userId, reminderId) {
+        return this.updateStates(userId, [reminderId], { dismissedAt: new Date().toISOString() });
+    },
+    
+    /**
+     * Show a snoozed or dismissed reminder again
+     * @param {string} userId - User ID
+     * @param {string} reminderId - Reminder ID
+     * @returns {Promise<object>} - Result object
+     */
+    async restore(userId, reminderId) {
+        return this.updateStates(userId, [reminderId], { snoozedUntil: null, dismissedAt: null });
+    },
+    
+    // ===== Browser Notifications =====
+    
+    /**
+     * Check whether this browser can show reminder notifications
+     * @returns {boolean} - True if notifications and service workers are available
+     */
+    notificationsSupported() {
+        return typeof Notification !== 'undefined' && typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+    },
+    
+    /**
+     * Get whether the user has allowed notifications
+     * @returns {string} - 'granted', 'denied', 'default' (not asked yet) or 'unsupported'
+     */
+    getNotificationPermission() {
+        return this.notificationsSupported() ? Notification.permission : 'unsupported';
+    },
+    
+    /**
+     * Ask for permission to show notifications and register the service worker
+     * @returns {Promise<object>} - Result object with success status
+     */
+    async enableNotifications() {
+        if (!this.notificationsSupported()) {
+            return { success: false, message: 'This browser cannot show notifications' };
+        }
+        
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            return { success: false, message: 'Notifications are blocked. You can allow them in your browser settings.' };
+        }
+        
+        try {
+            await navigator.serviceWorker.register(this.SERVICE_WORKER_URL);
+            return { success: true };
+        } catch (error) {
+            console.error('Error registering service worker:', error);
+            return { success: false, message: 'Could not turn on notifications' };
+        }
+    },
+    
+    /**
+     * Show a browser notification for each reminder the user has not been notified about
+     * @param {string} userId - User ID
+     * @param {Array} reminders - Visible reminders (from getReminders)
+     * @returns {Promise<number>} - Number of notifications shown
+     */
+    async notify(userId, reminders) {
+        const pending = reminders.filter(reminder => !reminder.notifiedAt);
+        if (pending.length === 0 || this.getNotificationPermission() !== 'granted') {
+            return 0;
+        }
+        
+        try {
+            await navigator.serviceWorker.register(this.SERVICE_WORKER_URL);
+            const registration = await navigator.serviceWorker.ready;
+            for (const reminder of pending) {
+                await registration.showNotification(reminder.title, {
+                    body: reminder.message,
+                    tag: reminder.id,
+                    data: { reminderId: reminder.id, url: reminder.link },
+                    actions: [
+                        { action: 'snooze', title: `Snooze until ${this.SNOOZE_OPTIONS[1].toLowerCase()}` },
+                        { action: 'dismiss', title: 'Dismiss' }
+                    ]
+                });
+            }
+        } catch (error) {
+            console.error('Error showing notifications:', error);
+            return 0;
+        }
+        
+        await this.updateStates(userId, pending.map(reminder => reminder.id), { notifiedAt: new Date().toISOString() });
+        return pending.length;
+    },
+    
+    // ===== Dates =====
+    
+    /**
+     * Read a date or date string; plain dates (YYYY-MM-DD) are taken as local midnight
+     * @param {string|Date} value - Date, date string or date-time string
+     * @returns {Date} - Date object
+     */
+    parseDate(value) {
+        return new Date(typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value);
+    },
+    
+    /**
+     * Count whole days from now until a date (negative once it has passed)
+     * @param {string|Date} date - Date or date string
+     * @param {number} now - Current time in milliseconds
+     * @returns {number} - Days until the date
+     */
+    daysUntil(date, now = Date.now()) {
+        const today = new Date(now);
+        today.setHours(0, 0, 0, 0);
+        const day = this.parseDate(date);
+        day.setHours(0, 0, 0, 0);
+        return Math.round((day - today) / this.DAY_MS);
+    },
+    
+    /**
+     * Describe a number of days from now in words
+     * @param {number} days - Days until the date
+     * @returns {string} - 'today', 'tomorrow' or 'in N days'
+     */
+    describeDays(days) {
+        if (days === 0) return 'today';
+        if (days === 1) return 'tomorrow';
+        return `in ${days} days`;
+    },
+    
+    /**
+     * Format a date for reminder messages
+     * @param {string|Date} date - Date or date string
+     * @returns {string} - Localized date
+     */
+    formatDate(date) {
+        return this.parseDate(date).toLocaleDateString();
+    },
+    
+    /**
+     * Format an appointment date and time for reminder messages
+     * @param {string|Date} date - Date or date-time string
+     * @returns {string} - Localized date and time
+     */
+    formatDateTime(date) {
+        return this.parseDate(date).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    }
+};
+
+// Make Reminders available globally
+window.Reminders = Reminders;
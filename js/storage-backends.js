@@ -0,0 +1,348 @@
+/**
+ * Visa Guide AIA - Storage Backends
+ * Key/value adapters that Storage reads and writes through.
+ *
+ * Every backend implements the same async interface:
+ *   get(key)           -> value or null
+ *   set(key, value)    -> void
+ *   remove(key)        -> void
+ *   list(prefix)       -> array of keys starting with prefix
+ *   transaction(fn)    -> runs fn(tx) where tx has get/set/remove; all writes are
+ *                         committed together when fn resolves, or not at all if it throws
+ */
+
+const StorageBackends = {
+    /**
+     * Create a backend from a configuration object
+     * @param {object} config - { backend: 'localStorage' | 'indexedDB' | 'memory' | 'http', ...options }
+     * @returns {object} - Backend instance
+     */
+    create(config = {}) {
+        switch (config.backend || 'localStorage') {
+            case 'localStorage':
+                return this.createLocalStorage(config);
+            case 'indexedDB':
+                return this.createIndexedDB(config);
+            case 'memory':
+                return this.createMemory(config);
+            case 'http':
+                return this.createHttp(config);
+            default:
+                throw new Error(`Unknown storage backend: ${config.backend}`);
+        }
+    },
+    
+    /**
+     * Wrap a backend's batch commit in the shared transaction interface.
+     * Reads inside the transaction see its own pending writes.
+     * @param {object} backend - Backend providing get() and commit(operations)
+     * @param {Function} fn - Receives the transaction object
+     * @returns {Promise<any>} - Whatever fn resolves to
+     */
+    async runTransaction(backend, fn) {
+        const pending = new Map();
+        
+        const tx = {
+            async get(key) {
+                if (pending.has(key)) {
+                    const op = pending.get(key);
+                    return op.op === 'set' ? StorageBackends.clone(op.value) : null;
+                }
+                return backend.get(key);
+            },
+            async set(key, value) {
+                pending.set(key, { op: 'set', key: key, value: StorageBackends.clone(value) });
+            },
+            async remove(key) {
+                pending.set(key, { op: 'remove', key: key });
+            }
+        };
+        
+        // Serialise transactions across tabs where the browser supports it
+        const run = async () => {
+            const result = await fn(tx);
+            if (pending.size > 0) {
+                await backend.commit(Array.from(pending.values()));
+            }
+            return result;
+        };
+        
+        if (typeof navigator !== 'undefined' && navigator.locks) {
+            return navigator.locks.request(`visa-storage:${backend.name}`, run);
+        }
+        return run();
+    },
+    
+    /**
+     * Deep-copy a JSON-compatible value so callers cannot mutate stored data
+     * @param {any} value - Value to copy
+     * @returns {any} - Copy of the value
+     */
+    clone(value) {
+        return value === undefined ? null : JSON.parse(JSON.stringify(value));
+    },
+    
+    // ===== localStorage =====
+    
+    /**
+     * Backend that keeps each key as a JSON string in window.localStorage
+     * @returns {object} - Backend instance
+     */
+    createLocalStorage() {
+        const backend = {
+            name: 'localStorage',
+            
+            async get(key) {
+                const data = localStorage.getItem(key);
+                return data ? JSON.parse(data) : null;
+            },
+            
+            async set(key, value) {
+                localStorage.setItem(key, JSON.stringify(value));
+            },
+            
+            async remove(key) {
+                localStorage.removeItem(key);
+            },
+            
+            async list(prefix = '') {
+                const keys = [];
+                for (let i = 0; i < localStorage.length; i++) {
+                    const key = localStorage.key(i);
+                    if (key.startsWith(prefix)) {
+                        keys.push(key);
+                    }
+                }
+                return keys;
+            },
+            
+            async commit(operations) {
+                // Serialise everything first so a bad value cannot leave a partial write
+                const serialized = operations.map(op => ({
+                    ...op,
+                    data: op.op === 'set' ? JSON.stringify(op.value) : null,
+                    previous: localStorage.getItem(op.key)
+                }));
+                
+                try {
+                    serialized.forEach(op => {
+                        if (op.op === 'set') {
+                            localStorage.setItem(op.key, op.data);
+                        } else {
+                            localStorage.removeItem(op.key);
+                        }
+                    });
+                } catch (error) {
+                    // Roll back (e.g. after a quota error part-way through)
+                    serialized.forEach(op => {
+                        if (op.previous === null) {
+                            localStorage.removeItem(op.key);
+                        } else {
+                            localStorage.setItem(op.key, op.previous);
+                        }
+                    });
+                    throw error;
+                }
+            },
+            
+            transaction(fn) {
+                return StorageBackends.runTransaction(backend, fn);
+            }
+        };
+        
+        return backend;
+    },
+    
+    // ===== In-memory =====
+    
+    /**
+     * Backend that keeps data in memory (useful for tests and throwaway demos)
+     * @param {object} options - Optional `data` object of initial key/value pairs
+     * @returns {object} - Backend instance
+     */
+    createMemory(options = {}) {
+        const data = new Map(Object.entries(options.data || {}).map(([key, value]) => [key, StorageBackends.clone(value)]));
+        
+        const backend = {
+            name: 'memory',
+            
+            async get(key) {
+                return data.has(key) ? StorageBackends.clone(data.get(key)) : null;
+            },
+            
+            async set(key, value) {
+                data.set(key, StorageBackends.clone(value));
+            },
+            
+            async remove(key) {
+                data.delete(key);
+            },
+            
+            async list(prefix = '') {
+                return Array.from(data.keys()).filter(key => key.startsWith(prefix));
+            },
+            
+            async commit(operations) {
+                operations.forEach(op => {
+                    if (op.op === 'set') {
+                        data.set(op.key, op.value);
+                    } else {
+                        data.delete(op.key);
+                    }
+                });
+            },
+            
+            transaction(fn) {
+                return StorageBackends.runTransaction(backend, fn);
+            }
+        };
+        
+        return backend;
+    },
+    
+    // ===== IndexedDB =====
+    
+    /**
+     * Backend that keeps each key as a record in an IndexedDB object store
+     * @param {object} options - Optional `dbName` and `storeName`
+     * @returns {object} - Backend instance
+     */
+    createIndexedDB(options = {}) {
+        const dbName = options.dbName || 'visa_guide_aia_data';
+        const storeName = options.storeName || 'kv';
+        let dbPromise = null;
+        
+        const openDatabase = () => {
+            if (!dbPromise) {
+                dbPromise = new Promise((resolve, reject) => {
+                    const request = indexedDB.open(dbName, 1);
+                    request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+                dbPromise.catch(() => {
+                    dbPromise = null;
+                });
+            }
+            return dbPromise;
+        };
+        
+        const request = async (mode, callback) => {
+            const db = await openDatabase();
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction(storeName, mode);
+                const req = callback(transaction.objectStore(storeName));
+                transaction.oncomplete = () => resolve(req ? req.result : undefined);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        };
+        
+        const backend = {
+            name: 'indexedDB',
+            
+            async get(key) {
+                const value = await request('readonly', store => store.get(key));
+                return value === undefined ? null : value;
+            },
+            
+            async set(key, value) {
+                await request('readwrite', store => store.put(StorageBackends.clone(value), key));
+            },
+            
+            async remove(key) {
+                await request('readwrite', store => store.delete(key));
+            },
+            
+            async list(prefix = '') {
+                const keys = await request('readonly', store => store.getAllKeys());
+                return keys.filter(key => String(key).startsWith(prefix));
+            },
+            
+            async commit(operations) {
+                // A single readwrite transaction: IndexedDB aborts all of it if any write fails
+                await request('readwrite', store => {
+                    operations.forEach(op => {
+                        if (op.op === 'set') {
+                            store.put(op.value, op.key);
+                        } else {
+                            store.delete(op.key);
+                        }
+                    });
+                    return null;
+                });
+            },
+            
+            transaction(fn) {
+                return StorageBackends.runTransaction(backend, fn);
+            }
+        };
+        
+        return backend;
+    },
+    
+    // ===== HTTP =====
+    
+    /**
+     * Backend that talks to a REST key/value server (see server/rest-server.js)
+     * @param {object} options - `baseUrl` of the server and optional extra `headers`
+     * @returns {object} - Backend instance
+     */
+    createHttp(options = {}) {
+        const baseUrl = (options.baseUrl || 'http://localhost:8787').replace(/\/$/, '');
+        const headers = { 'Content-Type': 'application/json', ...(options.headers || {}) };
+        
+        const call = async (method, path, body) => {
+            const response = await fetch(baseUrl + path, {
+                method: method,
+                headers: headers,
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+            
+            if (response.status === 404 && method === 'GET') {
+                return null;
+            }
+            if (!response.ok) {
+                throw new Error(`Storage server responded with ${response.status} to ${method} ${path}`);
+            }
+            return response.status === 204 ? null : response.json();
+        };
+        
+        const keyPath = key => '/kv/' + encodeURIComponent(key);
+        
+        const backend = {
+            name: 'http',
+            
+            async get(key) {
+                const result = await call('GET', keyPath(key));
+                return result ? result.value : null;
+            },
+            
+            async set(key, value) {
+                await call('PUT', keyPath(key), { value: value });
+            },
+            
+            async remove(key) {
+                await call('DELETE', keyPath(key));
+            },
+            
+            async list(prefix = '') {
+                const result = await call('GET', '/kv?prefix=' + encodeURIComponent(prefix));
+                return result ? result.keys : [];
+            },
+            
+            async commit(operations) {
+                await call('POST', '/batch', { operations: operations });
+            },
+            
+            transaction(fn) {
+                return StorageBackends.runTransaction(backend, fn);
+            }
+        };
+        
+        return backend;
+    }
+};
+
+// Make StorageBackends available globally
+window.StorageBackends = StorageBackends;
@@ -1,144 +1,636 @@
 /**
  * Visa Guide AIA - Storage Manager
- * Handles all localStorage operations for user data and applications
+ * Handles all data operations for users and applications (through the configured
+ * storage backend), IndexedDB storage for uploaded document files, and change
+ * events shared between open tabs. Operations on user data are checked against
+ * the access policy (access-policy.js) for the signed-in user first.
  */
 
 const Storage = {
     // Storage keys
     USERS_KEY: 'visa_users',
-    CURRENT_USER_KEY: 'visa_current_user',
+    SESSIONS_KEY: 'visa_sessions',
+    CURRENT_SESSION_KEY: 'visa_session_id',
+    LEGACY_CURRENT_USER_KEY: 'visa_current_user',
     APPLICATIONS_KEY: 'visa_applications',
+    PASSWORD_RESETS_KEY: 'visa_password_resets',
+    CHAT_HISTORY_KEY: 'chat_history',
+    GRANTS_KEY: 'visa_grants',
+    HOUSEHOLD_KEY: 'visa_household',
+    PASSPORTS_KEY: 'visa_passports',
+    REMINDERS_KEY: 'visa_reminders',
+    TRIPS_KEY: 'visa_trips',
+    
+    // Cross-tab change events (BroadcastChannel, with a localStorage key as fallback)
+    EVENT_CHANNEL: 'visa_guide_aia_events',
+    EVENT_KEY: 'visa_event',
+    
+    // Session lifetimes (milliseconds)
+    SESSION_MAX_AGE: 12 * 60 * 60 * 1000,
+    SESSION_REMEMBER_MAX_AGE: 30 * 24 * 60 * 60 * 1000,
+    SESSION_IDLE_TIMEOUT: 30 * 60 * 1000,
+    SESSION_REMEMBER_IDLE_TIMEOUT: 7 * 24 * 60 * 60 * 1000,
+    SESSION_TOUCH_INTERVAL: 60 * 1000,
+    PASSWORD_RESET_TTL: 30 * 60 * 1000,
+    
+    // IndexedDB settings (document files are too large for localStorage)
+    DB_NAME: 'visa_guide_aia',
+    DB_VERSION: 2,
+    DOCUMENTS_STORE: 'documents',
+    VAULT_KEYS_STORE: 'vault_keys',
+    MAX_DOCUMENT_SIZE: 10 * 1024 * 1024,
+    
+    // Password hashing settings (PBKDF2 via WebCrypto)
+    PASSWORD_HASH_ALGORITHM: 'PBKDF2-SHA256',
+    PASSWORD_HASH_ITERATIONS: 600000,
+    PASSWORD_SALT_BYTES: 16,
+    PASSWORD_HASH_BITS: 256,
+    
+    // Vault mode: encrypt sensitive application fields at rest with a key unlocked by the user's password
+    VAULT_ENABLED: true,
+    VAULT_ALGORITHM: 'AES-GCM',
+    SENSITIVE_APPLICATION_FIELDS: [
+        'fullName', 'email', 'phone', 'currentLocation',
+        'passportNumber', 'passportExpiry', 'passportIssue',
+        'accommodationAddress', 'travelHistory'
+    ],
+    
+    // User roles: applicants manage their own applications; admins (case officers) review everyone's
+    ROLE_APPLICANT: 'applicant',
+    ROLE_ADMIN: 'admin',
+    
+    // Fields applicants cannot set through updateApplication (checklist items are taken
+    // through buildChecklist, and documents attached with linkChecklistDocument)
+    READONLY_APPLICATION_FIELDS: [
+        'id', 'userId', 'status', 'createdAt', 'updatedAt', 'submittedAt', 'approvedAt', 'checklist',
+        'adminNotes', 'withdrawnAt', 'withdrawalReason', 'sealed', 'locked', 'history',
+        'biometricsAppointment', 'biometricsLocation', 'interviewAppointment', 'interviewLocation',
+        'oathAppointment', 'oathLocation', 'decidedAt', 'payments', 'feeWaiver', 'restoredFrom'
+    ],
+    
+    // Appointments a case officer schedules, stored as `<type>Appointment` and `<type>Location`;
+    // afterApproval ones (the oath ceremony) follow an approval, the rest happen while in progress
+    APPOINTMENT_TYPES: {
+        biometrics: { label: 'Biometrics appointment', afterApproval: false },
+        interview: { label: 'Interview', afterApproval: false },
+        oath: { label: 'Oath ceremony', afterApproval: true }
+    },
+    
+    // Forms an application is made on ('visa' is the wizard's visa application). A form only
+    // filed at one destination as one visa type (the N-400) fixes both (see validateApplicationForm).
+    APPLICATION_FORMS: {
+        visa: { label: 'Visa application' },
+        'N-400': { label: 'Form N-400, Application for Naturalization', destination: 'United States', visaType: 'Naturalization' }
+    },
+    
+    // Fields whose edits are not written to an application's history (bookkeeping, not answers)
+    UNTRACKED_APPLICATION_FIELDS: ['updatedAt', 'draftStep', 'checklist', 'history', 'sealed', 'locked', 'familyId'],
+    
+    // Household members an account holder can apply for, and the details kept for each.
+    // Passport and name fields share the application field names, so they are sealed the same way.
+    HOUSEHOLD_RELATIONSHIPS: {
+        spouse: 'Spouse / Partner',
+        child: 'Child',
+        parent: 'Parent',
+        other: 'Other'
+    },
+    PERSON_FIELDS: [
+        'relationship', 'fullName', 'dateOfBirth', 'nationality',
+        'passportNumber', 'passportExpiry', 'passportIssue'
+    ],
+    
+    // Passports saved on the account holder's profile (passportIssue is the place of issue)
+    PASSPORT_FIELDS: ['nationality', 'passportNumber', 'passportIssue', 'passportIssueDate', 'passportExpiry'],
+    
+    // Warn about a saved passport this many days before it expires
+    PASSPORT_EXPIRY_WARNING_DAYS: 180,
+    
+    // Trips outside the U.S. kept in the travel log (countries is a comma-separated list)
+    TRIP_FIELDS: ['departureDate', 'returnDate', 'countries', 'purpose'],
+    
+    // Fee payments recorded against an application (amount in the fee's currency)
+    PAYMENT_FIELDS: ['amount', 'currency', 'method', 'date', 'receiptNumber'],
+    // Household details an application's fee waiver is worked out from (see Fees.getBalance):
+    // householdSize in people, income as annual household income in U.S. dollars
+    FEE_WAIVER_FIELDS: ['householdSize', 'income'],
+    PAYMENT_METHODS: {
+        card: 'Credit/debit card',
+        check: 'Check',
+        money_order: 'Money order',
+        bank_transfer: 'Bank transfer',
+        cash: 'Cash'
+    },
+    
+    // Column headings accepted when importing trips from CSV (lowercased, letters only) -> trip field
+    TRIP_CSV_COLUMNS: {
+        departuredate: 'departureDate',
+        departure: 'departureDate',
+        departed: 'departureDate',
+        returndate: 'returnDate',
+        return: 'returnDate',
+        returned: 'returnDate',
+        countries: 'countries',
+        country: 'countries',
+        destination: 'countries',
+        purpose: 'purpose',
+        reason: 'purpose'
+    },
+    
+    // Active backend (see storage-backends.js); replaced by useBackend()
+    backend: null,
+    
+    // Resolves once the backend's data has been migrated (see migrations.js)
+    ready: Promise.resolve(),
+    
+    /**
+     * Select the backend that all reads and writes go through and migrate its data
+     * @param {object} backend - Backend created by StorageBackends
+     * @returns {Promise<object>} - Migration result
+     */
+    useBackend(backend) {
+        this.backend = backend;
+        this.ready = Migrations.run(backend).catch(error => {
+            console.error('Error migrating stored data:', error);
+            return { success: false, message: 'Could not migrate stored data' };
+        });
+        return this.ready;
+    },
     
     /**
-     * Get data from localStorage
+     * Get data from the storage backend. Read errors are passed on, so a failed read is
+     * never mistaken for missing data (which the next write would then overwrite).
      * @param {string} key - The storage key
-     * @returns {any|null} - Parsed data or null if not found
+     * @returns {Promise<any|null>} - Parsed data or null if not found
      */
-    get(key) {
+    async get(key) {
+        await this.ready;
         try {
-            const data = localStorage.getItem(key);
-            return data ? JSON.parse(data) : null;
+            return await this.backend.get(key);
         } catch (error) {
-            console.error('Error reading from localStorage:', error);
-            return null;
+            console.error(`Error reading from ${this.backend.name} storage:`, error);
+            throw error;
         }
     },
     
     /**
-     * Save data to localStorage
+     * Save data to the storage backend
      * @param {string} key - The storage key
      * @param {any} value - The data to save
-     * @returns {boolean} - Success status
+     * @returns {Promise<boolean>} - Success status
      */
-    set(key, value) {
+    async set(key, value) {
         try {
-            localStorage.setItem(key, JSON.stringify(value));
+            await this.ready;
+            await this.backend.set(key, value);
             return true;
         } catch (error) {
-            console.error('Error writing to localStorage:', error);
+            console.error(`Error writing to ${this.backend.name} storage:`, error);
             return false;
         }
     },
     
     /**
-     * Remove data from localStorage
+     * Remove data from the storage backend
      * @param {string} key - The storage key
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+        try {
+            await this.ready;
+            await this.backend.remove(key);
+        } catch (error) {
+            console.error(`Error removing from ${this.backend.name} storage:`, error);
+        }
+    },
+    
+    /**
+     * List storage keys
+     * @param {string} prefix - Only return keys starting with this prefix
+     * @returns {Promise<Array>} - Array of keys
      */
-    remove(key) {
+    async list(prefix = '') {
         try {
-            localStorage.removeItem(key);
+            await this.ready;
+            return await this.backend.list(prefix);
         } catch (error) {
-            console.error('Error removing from localStorage:', error);
+            console.error(`Error listing ${this.backend.name} storage:`, error);
+            return [];
         }
     },
     
+    /**
+     * Run several reads and writes as one atomic unit
+     * @param {Function} fn - Async function receiving a transaction with get/set/remove
+     * @returns {Promise<any>} - Whatever fn resolves to
+     */
+    async transaction(fn) {
+        await this.ready;
+        return this.backend.transaction(fn);
+    },
+    
     /**
      * Clear all application data
+     * @returns {Promise<void>}
      */
-    clearAll() {
+    async clearAll() {
         try {
-            localStorage.removeItem(this.USERS_KEY);
-            localStorage.removeItem(this.CURRENT_USER_KEY);
-            localStorage.removeItem(this.APPLICATIONS_KEY);
+            await this.transaction(async tx => {
+                await tx.remove(this.USERS_KEY);
+                await tx.remove(this.SESSIONS_KEY);
+                await tx.remove(this.APPLICATIONS_KEY);
+                await tx.remove(this.PASSWORD_RESETS_KEY);
+                await tx.remove(this.GRANTS_KEY);
+                await tx.remove(this.HOUSEHOLD_KEY);
+                await tx.remove(this.PASSPORTS_KEY);
+                await tx.remove(this.REMINDERS_KEY);
+                await tx.remove(this.TRIPS_KEY);
+            });
         } catch (error) {
-            console.error('Error clearing localStorage:', error);
+            console.error(`Error clearing ${this.backend.name} storage:`, error);
         }
+        
+        this.setCurrentSessionId(null);
+        await this.clearDocuments();
+        
+        this.emit('session:ended', {});
+        this.emit('applications:changed', {});
     },
     
-    // ===== User Management =====
+    /**
+     * Open (and create or upgrade if needed) the IndexedDB database
+     * @returns {Promise<IDBDatabase>} - Open database connection
+     */
+    openDatabase() {
+        if (this._dbPromise) {
+            return this._dbPromise;
+        }
+        
+        this._dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+            
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.DOCUMENTS_STORE)) {
+                    const store = db.createObjectStore(this.DOCUMENTS_STORE, { keyPath: 'id' });
+                    store.createIndex('userId', 'userId', { unique: false });
+                }
+                if (!db.objectStoreNames.contains(this.VAULT_KEYS_STORE)) {
+                    const store = db.createObjectStore(this.VAULT_KEYS_STORE, { keyPath: 'sessionId' });
+                    store.createIndex('userId', 'userId', { unique: false });
+                }
+            };
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        
+        // Allow a later call to retry if opening failed
+        this._dbPromise.catch(() => {
+            this._dbPromise = null;
+        });
+        
+        return this._dbPromise;
+    },
+    
+    /**
+     * Run a single request against an IndexedDB object store
+     * @param {string} storeName - Object store name
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} callback - Receives the store and returns an IDBRequest
+     * @returns {Promise<any>} - Request result once the transaction completes
+     */
+    async dbRequest(storeName, mode, callback) {
+        const db = await this.openDatabase();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = callback(transaction.objectStore(storeName));
+            
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+    
+    // ===== Session Management =====
+    
+    /**
+     * Get the ID of this browser's session. The pointer always lives in localStorage
+     * so each browser has its own session even when data is kept on a shared server.
+     * @returns {string|null} - Session ID or null
+     */
+    getCurrentSessionId() {
+        try {
+            const sessionId = localStorage.getItem(this.CURRENT_SESSION_KEY);
+            // Older versions stored the ID JSON-encoded (with quotes)
+            return sessionId && sessionId.startsWith('"') ? JSON.parse(sessionId) : sessionId;
+        } catch (error) {
+            console.error('Error reading session from localStorage:', error);
+            return null;
+        }
+    },
+    
+    /**
+     * Set (or clear, with null) the ID of this browser's session
+     * @param {string|null} sessionId - Session ID
+     */
+    setCurrentSessionId(sessionId) {
+        try {
+            if (sessionId) {
+                localStorage.setItem(this.CURRENT_SESSION_KEY, sessionId);
+            } else {
+                localStorage.removeItem(this.CURRENT_SESSION_KEY);
+            }
+            localStorage.removeItem(this.LEGACY_CURRENT_USER_KEY);
+        } catch (error) {
+            console.error('Error writing session to localStorage:', error);
+        }
+    },
+    
+    /**
+     * Get all stored sessions
+     * @returns {Promise<Array>} - Array of session objects
+     */
+    async getSessions() {
+        return await this.get(this.SESSIONS_KEY) || [];
+    },
+    
+    /**
+     * Check whether a session has passed its absolute expiry or idle timeout
+     * @param {object} session - Session object
+     * @param {number} now - Current time in milliseconds
+     * @returns {string|null} - 'expired', 'idle', or null if the session is still valid
+     */
+    getSessionExpiryReason(session, now = Date.now()) {
+        if (now >= new Date(session.expiresAt).getTime()) {
+            return 'expired';
+        }
+        if (now - new Date(session.lastSeenAt).getTime() >= session.idleTimeout) {
+            return 'idle';
+        }
+        return null;
+    },
+    
+    /**
+     * Start a new session for a user and make it the current session
+     * @param {string} userId - User ID
+     * @param {object} options - Session options ({ remember: boolean })
+     * @returns {Promise<object>} - The new session object
+     */
+    async startSession(userId, options = {}) {
+        const now = Date.now();
+        const remember = Boolean(options.remember);
+        
+        const session = {
+            id: this.generateToken(),
+            userId: userId,
+            createdAt: new Date(now).toISOString(),
+            lastSeenAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + (remember ? this.SESSION_REMEMBER_MAX_AGE : this.SESSION_MAX_AGE)).toISOString(),
+            idleTimeout: remember ? this.SESSION_REMEMBER_IDLE_TIMEOUT : this.SESSION_IDLE_TIMEOUT
+        };
+        
+        // Drop sessions that can no longer be used
+        await this.transaction(async tx => {
+            const sessions = (await tx.get(this.SESSIONS_KEY) || []).filter(s => !this.getSessionExpiryReason(s, now));
+            sessions.push(session);
+            await tx.set(this.SESSIONS_KEY, sessions);
+        });
+        await this.pruneVaultKeys();
+        
+        this.setCurrentSessionId(session.id);
+        this.emit('session:started', { userId: userId });
+        
+        return session;
+    },
     
     /**
-     * Get the currently logged in user
-     * @returns {object|null} - Current user object or null
+     * End the current session
+     * @returns {Promise<void>}
      */
-    getCurrentUser() {
-        return this.get(this.CURRENT_USER_KEY);
+    async endSession() {
+        const sessionId = this.getCurrentSessionId();
+        if (sessionId) {
+            await this.removeSessions(s => s.id === sessionId);
+            await this.lockVault(sessionId);
+        }
+        
+        this.setCurrentSessionId(null);
+        if (sessionId) {
+            this.emit('session:ended', { sessionId: sessionId });
+        }
+    },
+    
+    /**
+     * End every session belonging to a user (e.g. after a password change)
+     * @param {string} userId - User ID
+     * @returns {Promise<void>}
+     */
+    async endUserSessions(userId) {
+        await this.removeSessions(s => s.userId === userId);
+        await this.pruneVaultKeys();
+        this.emit('session:ended', { userId: userId });
+    },
+    
+    /**
+     * Delete the stored sessions that match a test
+     * @param {Function} predicate - Receives a session and returns true to delete it
+     * @returns {Promise<void>}
+     */
+    async removeSessions(predicate) {
+        await this.transaction(async tx => {
+            const sessions = await tx.get(this.SESSIONS_KEY) || [];
+            await tx.set(this.SESSIONS_KEY, sessions.filter(s => !predicate(s)));
+        });
+    },
+    
+    /**
+     * Resolve the current session
+     * @returns {Promise<object>} - { active, expired, reason, session }
+     */
+    async getSessionStatus() {
+        const sessionId = this.getCurrentSessionId();
+        if (!sessionId) {
+            return { active: false, expired: false, reason: null, session: null };
+        }
+        
+        const session = (await this.getSessions()).find(s => s.id === sessionId);
+        if (!session || !await this.readUser(session.userId)) {
+            return { active: false, expired: true, reason: 'revoked', session: null };
+        }
+        
+        const reason = this.getSessionExpiryReason(session);
+        if (reason) {
+            return { active: false, expired: true, reason: reason, session: session };
+        }
+        
+        return { active: true, expired: false, reason: null, session: session };
+    },
+    
+    /**
+     * Record activity on the current session (throttled to limit writes)
+     * @param {object} session - Active session object
+     * @returns {Promise<void>}
+     */
+    async touchSession(session) {
+        const now = Date.now();
+        if (now - new Date(session.lastSeenAt).getTime() < this.SESSION_TOUCH_INTERVAL) {
+            return;
+        }
+        
+        await this.transaction(async tx => {
+            const sessions = await tx.get(this.SESSIONS_KEY) || [];
+            const index = sessions.findIndex(s => s.id === session.id);
+            if (index !== -1) {
+                sessions[index].lastSeenAt = new Date(now).toISOString();
+                await tx.set(this.SESSIONS_KEY, sessions);
+            }
+        });
     },
     
+    // ===== User Management =====
+    
     /**
-     * Set the current logged in user
-     * @param {object} user - User object to set
+     * Get the currently logged in user, resolved from the active session
+     * @returns {Promise<object|null>} - Current user object (without credentials) or null
      */
-    setCurrentUser(user) {
-        this.set(this.CURRENT_USER_KEY, user);
+    async getCurrentUser() {
+        const status = await this.getSessionStatus();
+        if (!status.active) {
+            return null;
+        }
+        
+        await this.touchSession(status.session);
+        return this.toSessionUser(await this.readUser(status.session.userId));
     },
     
     /**
      * Clear the current user session
+     * @returns {Promise<void>}
+     */
+    async clearCurrentUser() {
+        await this.endSession();
+    },
+    
+    /**
+     * Get all registered users (admin only)
+     * @returns {Promise<Array|object>} - Array of user objects, or a forbidden result
+     */
+    async getUsers() {
+        const denied = await this.authorize('user:list');
+        if (denied) {
+            return denied;
+        }
+        
+        return (await this.readUsers()).map(user => this.toSessionUser(user));
+    },
+    
+    /**
+     * Read every stored user record without an access check (for Storage's own use)
+     * @returns {Promise<Array>} - Array of user objects
+     */
+    async readUsers() {
+        return await this.get(this.USERS_KEY) || [];
+    },
+    
+    /**
+     * Read, change and save the users list as one atomic step
+     * @param {Function} fn - Receives the users array, changes it in place and returns a result
+     * @returns {Promise<any>} - Whatever fn returns
      */
-    clearCurrentUser() {
-        this.remove(this.CURRENT_USER_KEY);
+    async modifyUsers(fn) {
+        return this.transaction(async tx => {
+            const users = await tx.get(this.USERS_KEY) || [];
+            const result = await fn(users);
+            await tx.set(this.USERS_KEY, users);
+            return result;
+        });
     },
     
     /**
-     * Get all registered users
-     * @returns {Array} - Array of user objects
+     * Find a user by email (the user themselves or an admin)
+     * @param {string} email - User email
+     * @returns {Promise<object|null>} - User object (without credentials), null, or a forbidden result
      */
-    getUsers() {
-        return this.get(this.USERS_KEY) || [];
+    async findUserByEmail(email) {
+        const user = await this.readUserByEmail(email);
+        if (!user) {
+            return null;
+        }
+        
+        const denied = await this.authorize('user:read', { userId: user.id });
+        if (denied) {
+            return denied;
+        }
+        
+        return this.toSessionUser(user);
     },
     
     /**
-     * Save users array to storage
-     * @param {Array} users - Array of user objects
+     * Find a user by ID (the user themselves or an admin)
+     * @param {string} userId - User ID
+     * @returns {Promise<object|null>} - User object (without credentials), null, or a forbidden result
      */
-    saveUsers(users) {
-        this.set(this.USERS_KEY, users);
+    async findUserById(userId) {
+        const denied = await this.authorize('user:read', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const user = await this.readUser(userId);
+        return user ? this.toSessionUser(user) : null;
     },
     
     /**
-     * Find a user by email
+     * Read a stored user record by email without an access check
      * @param {string} email - User email
-     * @returns {object|null} - User object or null
+     * @returns {Promise<object|null>} - User object or null
      */
-    findUserByEmail(email) {
-        const users = this.getUsers();
+    async readUserByEmail(email) {
+        const users = await this.readUsers();
         return users.find(user => user.email.toLowerCase() === email.toLowerCase()) || null;
     },
     
     /**
-     * Find a user by ID
+     * Read a stored user record by ID without an access check
      * @param {string} userId - User ID
-     * @returns {object|null} - User object or null
+     * @returns {Promise<object|null>} - User object or null
      */
-    findUserById(userId) {
-        const users = this.getUsers();
+    async readUser(userId) {
+        const users = await this.readUsers();
         return users.find(user => user.id === userId) || null;
     },
     
+    /**
+     * Copy a user record without its stored credentials
+     * @param {object} user - User object
+     * @returns {object} - User object safe to keep in the session
+     */
+    toSessionUser(user) {
+        const sessionUser = { ...user };
+        delete sessionUser.password;
+        delete sessionUser.passwordHash;
+        return sessionUser;
+    },
+    
     /**
      * Register a new user
      * @param {object} userData - User registration data
-     * @returns {object} - Result object with success status and message/user
+     * @returns {Promise<object>} - Result object with success status and message/user
      */
-    registerUser(userData) {
+    async registerUser(userData) {
         // Validate required fields
         if (!userData.email || !userData.password || !userData.name) {
             return { success: false, message: 'Please fill in all required fields' };
         }
         
         // Check if email already exists
-        const existingUser = this.findUserByEmail(userData.email);
+        const existingUser = await this.readUserByEmail(userData.email);
         if (existingUser) {
             return { success: false, message: 'This email is already registered' };
         }
@@ -148,7 +640,8 @@ const Storage = {
             id: this.generateId('usr_'),
             name: userData.name.trim(),
             email: userData.email.trim().toLowerCase(),
-            password: userData.password, // Note: In production, use proper password hashing
+            passwordHash: await this.hashPassword(userData.password),
+            role: this.getDefaultRole(userData.email),
             createdAt: new Date().toISOString(),
             profile: {
                 fullName: userData.name.trim(),
@@ -156,286 +649,3139 @@ const Storage = {
                 phone: userData.phone || '',
                 nationality: userData.nationality || '',
                 currentLocation: userData.currentLocation || ''
-            },
-            applications: []
+            }
         };
         
-        // Save user
-        const users = this.getUsers();
-        users.push(newUser);
-        this.saveUsers(users);
+        // Save user, unless the email was registered meanwhile
+        const added = await this.modifyUsers(users => {
+            if (users.some(u => String(u.email).toLowerCase() === newUser.email)) {
+                return false;
+            }
+            users.push(newUser);
+            return true;
+        });
+        if (!added) {
+            return { success: false, message: 'This email is already registered' };
+        }
         
-        // Set as current user
-        this.setCurrentUser(newUser);
+        // Log the new user in and unlock their vault
+        await this.startSession(newUser.id);
+        await this.unlockVault(newUser.id, userData.password);
         
-        return { success: true, user: newUser };
+        return { success: true, user: this.toSessionUser(newUser) };
     },
     
     /**
      * Authenticate user login
      * @param {string} email - User email
      * @param {string} password - User password
-     * @returns {object} - Result object with success status and message/user
+     * @param {object} options - Session options ({ remember: boolean })
+     * @returns {Promise<object>} - Result object with success status and message/user
      */
-    loginUser(email, password) {
+    async loginUser(email, password, options = {}) {
         if (!email || !password) {
             return { success: false, message: 'Please enter both email and password' };
         }
         
-        const user = this.findUserByEmail(email);
+        const user = await this.readUserByEmail(email);
         
         if (!user) {
             return { success: false, message: 'No account found with this email address' };
         }
         
-        if (user.password !== password) {
+        if (!(await this.verifyUserPassword(user, password))) {
             return { success: false, message: 'Incorrect password. Please try again.' };
         }
         
-        // Set current user (exclude password from session)
-        const sessionUser = { ...user };
-        delete sessionUser.password;
-        this.setCurrentUser(sessionUser);
+        await this.startSession(user.id, options);
+        await this.unlockVault(user.id, password);
+        
+        // Upgrade legacy plaintext (or weaker) credentials now that the password is known to be correct
+        if (!user.passwordHash || user.passwordHash.iterations < this.PASSWORD_HASH_ITERATIONS) {
+            await this.writeUserPassword(user.id, password, password);
+        }
+        
+        // Accounts added to AppConfig.adminEmails after they registered become admins on their next sign-in
+        if (this.getDefaultRole(user.email) === this.ROLE_ADMIN && user.role !== this.ROLE_ADMIN) {
+            await this.modifyUsers(users => {
+                users.filter(u => u.id === user.id).forEach(u => {
+                    u.role = this.ROLE_ADMIN;
+                });
+            });
+        }
         
-        return { success: true, user: sessionUser };
+        return { success: true, user: this.toSessionUser(await this.readUser(user.id)) };
     },
     
     /**
      * Logout current user
-     * @returns {object} - Success result
+     * @returns {Promise<object>} - Success result
      */
-    logoutUser() {
-        this.clearCurrentUser();
+    async logoutUser() {
+        await this.clearCurrentUser();
         return { success: true, message: 'Logged out successfully' };
     },
     
     /**
-     * Update user profile
+     * Get the role a user with this email should have by default.
+     * AppConfig.adminEmails is a demo bootstrap: the email is not verified (see config.js).
+     * @param {string} email - User email
+     * @returns {string} - ROLE_ADMIN for emails listed in AppConfig.adminEmails, otherwise ROLE_APPLICANT
+     */
+    getDefaultRole(email) {
+        const adminEmails = ((window.AppConfig && window.AppConfig.adminEmails) || []).map(e => e.toLowerCase());
+        return adminEmails.includes(String(email || '').trim().toLowerCase()) ? this.ROLE_ADMIN : this.ROLE_APPLICANT;
+    },
+    
+    /**
+     * Change an account's role (admin only). Case officers cannot change their own role,
+     * so the console always keeps at least the officer using it.
      * @param {string} userId - User ID
-     * @param {object} profileData - Profile data to update
-     * @returns {object} - Result object
+     * @param {string} role - Role (see AccessPolicy.roles)
+     * @returns {Promise<object>} - Result object with success status and user
      */
-    updateUserProfile(userId, profileData) {
-        const users = this.getUsers();
-        const userIndex = users.findIndex(u => u.id === userId);
-        
-        if (userIndex === -1) {
-            return { success: false, message: 'User not found' };
+    async assignRole(userId, role) {
+        const denied = await this.authorize('user:assign-role');
+        if (denied) {
+            return denied;
         }
         
-        // Update user profile
-        users[userIndex].profile = {
-            ...users[userIndex].profile,
-            ...profileData,
-            email: users[userIndex].email // Prevent email changes
-        };
-        
-        // Update name if provided
-        if (profileData.fullName) {
-            users[userIndex].name = profileData.fullName;
+        if (!Object.prototype.hasOwnProperty.call(AccessPolicy.roles, role)) {
+            return { success: false, message: `Unknown role "${role}"` };
+        }
+        const admin = await this.getCurrentUser();
+        if (admin.id === userId) {
+            return { success: false, message: 'You cannot change your own role' };
         }
         
-        this.saveUsers(users);
+        const user = await this.modifyUsers(users => {
+            const entry = users.find(u => u.id === userId);
+            if (entry) {
+                entry.role = role;
+            }
+            return entry;
+        });
+        if (!user) {
+            return { success: false, message: 'User not found' };
+        }
         
-        // Update current user session
-        const sessionUser = { ...users[userIndex] };
-        delete sessionUser.password;
-        this.setCurrentUser(sessionUser);
+        this.emit('profile:changed', { userId: userId });
         
-        return { success: true, user: sessionUser };
+        return { success: true, user: this.toSessionUser(user) };
     },
     
     /**
-     * Update user password
-     * @param {string} userId - User ID
-     * @param {string} newPassword - New password
-     * @returns {object} - Result object
+     * Get the signed-in user if they are an admin
+     * @returns {Promise<object|null>} - Current user, or null when signed out or not an admin
      */
-    updateUserPassword(userId, newPassword) {
-        const users = this.getUsers();
-        const userIndex = users.findIndex(u => u.id === userId);
-        
-        if (userIndex === -1) {
-            return { success: false, message: 'User not found' };
-        }
-        
-        users[userIndex].password = newPassword;
-        this.saveUsers(users);
-        
-        return { success: true, message: 'Password updated successfully' };
+    async requireAdmin() {
+        const user = await this.getCurrentUser();
+        return AccessPolicy.can(user, 'application:review') ? user : null;
     },
     
-    // ===== Application Management =====
+    // ===== Access Control =====
     
     /**
-     * Get all applications
-     * @returns {Array} - Array of application objects
+     * Check that the signed-in user may perform an action (see access-policy.js)
+     * @param {string} action - Action name, e.g. 'application:read'
+     * @param {object} resource - Resource being acted on ({ userId } of its owner)
+     * @returns {Promise<object|null>} - A forbidden result, or null when allowed
      */
-    getApplications() {
-        return this.get(this.APPLICATIONS_KEY) || [];
+    async authorize(action, resource = {}) {
+        const user = await this.getCurrentUser();
+        const grant = user && resource.userId && resource.userId !== user.id
+            ? await this.getActiveGrant(resource.userId, user.id)
+            : null;
+        const reason = AccessPolicy.check(user, action, resource, grant);
+        return reason ? this.forbidden(reason) : null;
     },
     
     /**
-     * Get applications for a specific user
-     * @param {string} userId - User ID
-     * @returns {Array} - Array of application objects
+     * Check that the signed-in user may perform an action, without the result details
+     * @param {string} action - Action name
+     * @param {object} resource - Resource being acted on ({ userId } of its owner)
+     * @returns {Promise<boolean>} - True if allowed
      */
-    getUserApplications(userId) {
-        const applications = this.getApplications();
-        return applications.filter(app => app.userId === userId);
+    async canAccess(action, resource = {}) {
+        return !(await this.authorize(action, resource));
     },
     
     /**
-     * Get a specific application by ID
-     * @param {string} applicationId - Application ID
-     * @returns {object|null} - Application object or null
+     * Get the signed-in user, who is credited with the changes they make
+     * (which may be to another account's data, through a grant)
+     * @param {string} fallbackId - ID to use when nobody is signed in
+     * @returns {Promise<object>} - { actorId, actorName }
      */
-    getApplicationById(applicationId) {
-        const applications = this.getApplications();
-        return applications.find(app => app.id === applicationId) || null;
+    async getActor(fallbackId) {
+        const user = await this.getCurrentUser();
+        return user ? { actorId: user.id, actorName: user.name } : { actorId: fallbackId, actorName: null };
     },
     
     /**
-     * Add a new application
+     * Build the result returned when an operation is not allowed
+     * @param {string} message - Why the operation was refused
+     * @returns {object} - Result object with `forbidden: true`
+     */
+    forbidden(message) {
+        return { success: false, forbidden: true, message: message };
+    },
+    
+    /**
+     * Update user profile
      * @param {string} userId - User ID
-     * @param {object} applicationData - Application form data
-     * @returns {object} - Result object with success status and application
+     * @param {object} profileData - Profile data to update
+     * @returns {Promise<object>} - Result object
      */
-    addApplication(userId, applicationData) {
-        // Validate user exists
-        const user = this.findUserById(userId);
-        if (!user) {
-            return { success: false, message: 'User not found' };
+    async updateUserProfile(userId, profileData) {
+        const denied = await this.authorize('user:update', { userId: userId });
+        if (denied) {
+            return denied;
         }
         
-        // Create new application
-        const newApplication = {
-            id: this.generateId('app_'),
-            userId: userId,
-            status: 'pending',
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString(),
-            ...applicationData
-        };
-        
-        // Save to applications
-        const applications = this.getApplications();
-        applications.push(newApplication);
-        this.set(this.APPLICATIONS_KEY, applications);
-        
-        // Add to user's applications list
-        const users = this.getUsers();
-        const userIndex = users.findIndex(u => u.id === userId);
-        if (userIndex !== -1) {
-            users[userIndex].applications = users[userIndex].applications || [];
-            users[userIndex].applications.push({
-                id: newApplication.id,
-                destination: newApplication.destination,
-                visaType: newApplication.visaType,
-                status: newApplication.status,
-                createdAt: newApplication.createdAt
-            });
-            this.saveUsers(users);
+        const user = await this.modifyUsers(users => {
+            const entry = users.find(u => u.id === userId);
+            if (!entry) {
+                return null;
+            }
             
-            // Update current user session
-            const sessionUser = { ...users[userIndex] };
-            delete sessionUser.password;
-            this.setCurrentUser(sessionUser);
+            // Update user profile
+            entry.profile = {
+                ...entry.profile,
+                ...profileData,
+                email: entry.email // Prevent email changes
+            };
+            
+            // Update name if provided
+            if (profileData.fullName) {
+                entry.name = profileData.fullName;
+            }
+            return entry;
+        });
+        
+        if (!user) {
+            return { success: false, message: 'User not found' };
         }
         
-        return { success: true, application: newApplication };
+        this.emit('profile:changed', { userId: userId });
+        
+        return { success: true, user: this.toSessionUser(user) };
     },
     
     /**
-     * Update an existing application
+     * Update user password
+     * The vault key is re-wrapped with the new password when the current password is given;
+     * otherwise the old vault cannot be opened and is replaced.
      * @param {string} userId - User ID
-     * @param {string} applicationId - Application ID
-     * @param {object} applicationData - Updated application data
-     * @returns {object} - Result object
+     * @param {string} newPassword - New password
+     * @param {string} currentPassword - Current password, which keeps the encrypted data
+     * @returns {Promise<object>} - Result object (`vaultReset` is true if encrypted data was lost)
      */
-    updateApplication(userId, applicationId, applicationData) {
-        const applications = this.getApplications();
-        const appIndex = applications.findIndex(app => app.id === applicationId && app.userId === userId);
-        
-        if (appIndex === -1) {
-            return { success: false, message: 'Application not found' };
+    async updateUserPassword(userId, newPassword, currentPassword = '') {
+        const denied = await this.authorize('user:update', { userId: userId });
+        if (denied) {
+            return denied;
         }
         
-        // Update application
-        applications[appIndex] = {
-            ...applications[appIndex],
-            ...applicationData,
-            updatedAt: new Date().toISOString()
-        };
-        
-        this.set(this.APPLICATIONS_KEY, applications);
-        
-        return { success: true, application: applications[appIndex] };
+        return await this.writeUserPassword(userId, newPassword, currentPassword);
     },
     
     /**
-     * Delete an application
+     * Set a user's password without an access check, for sign-in upgrades and password
+     * resets (where the caller has proven the old password or holds a reset token)
      * @param {string} userId - User ID
-     * @param {string} applicationId - Application ID
-     * @returns {object} - Result object
+     * @param {string} newPassword - New password
+     * @param {string} currentPassword - Current password, which keeps the encrypted data
+     * @returns {Promise<object>} - Result object (`vaultReset` is true if encrypted data was lost)
      */
-    deleteApplication(userId, applicationId) {
-        let applications = this.getApplications();
-        const originalLength = applications.length;
-        
-        // Filter out the application
-        applications = applications.filter(app => !(app.id === applicationId && app.userId === userId));
+    async writeUserPassword(userId, newPassword, currentPassword = '') {
+        if (!newPassword) {
+            return { success: false, message: 'Please enter a password' };
+        }
         
-        if (applications.length === originalLength) {
-            return { success: false, message: 'Application not found' };
+        if (!await this.readUser(userId)) {
+            return { success: false, message: 'User not found' };
         }
         
-        this.set(this.APPLICATIONS_KEY, applications);
+        const passwordHash = await this.hashPassword(newPassword);
+        const vaultUpdate = await this.rewrapVault(userId, newPassword, currentPassword);
         
-        // Update user's applications list
-        const users = this.getUsers();
-        const userIndex = users.findIndex(u => u.id === userId);
-        if (userIndex !== -1) {
-            users[userIndex].applications = users[userIndex].applications.filter(
-                app => app.id !== applicationId
-            );
-            this.saveUsers(users);
+        // Save the credentials (and drop data the old vault sealed) together, after the async work
+        const saved = await this.transaction(async tx => {
+            const users = await tx.get(this.USERS_KEY) || [];
+            const user = users.find(u => u.id === userId);
+            if (!user) {
+                return false;
+            }
             
-            // Update current user session
-            const sessionUser = { ...users[userIndex] };
-            delete sessionUser.password;
-            this.setCurrentUser(sessionUser);
+            user.passwordHash = passwordHash;
+            delete user.password;
+            if (vaultUpdate.vault) {
+                user.vault = vaultUpdate.vault;
+            }
+            await tx.set(this.USERS_KEY, users);
+            
+            if (vaultUpdate.reset) {
+                await this.discardSealedApplicationData(tx, userId);
+            }
+            return true;
+        });
+        
+        if (!saved) {
+            return { success: false, message: 'User not found' };
         }
         
-        return { success: true, message: 'Application deleted successfully' };
+        if (vaultUpdate.reset) {
+            // A key still held for the old vault would seal data the new password cannot open
+            const status = await this.getSessionStatus();
+            if (status.active && status.session.userId === userId) {
+                await this.lockVault(status.session.id);
+            }
+        }
+        
+        return { success: true, message: 'Password updated successfully', vaultReset: vaultUpdate.reset };
     },
     
+    // ===== Delegation =====
+    
     /**
-     * Update application status (admin function)
-     * @param {string} applicationId - Application ID
-     * @param {string} status - New status
-     * @param {string} adminNotes - Optional admin notes
-     * @returns {object} - Result object
+     * Read every stored grant without an access check
+     * @returns {Promise<Array>} - Array of grant objects
      */
-    updateApplicationStatus(applicationId, status, adminNotes = '') {
-        const applications = this.getApplications();
-        const appIndex = applications.findIndex(app => app.id === applicationId);
-        
-        if (appIndex === -1) {
-            return { success: false, message: 'Application not found' };
+    async readGrants() {
+        return await this.get(this.GRANTS_KEY) || [];
+    },
+    
+    /**
+     * Find the active grant an owner has given to another account
+     * @param {string} ownerId - Owner's user ID
+     * @param {string} granteeId - Grantee's user ID
+     * @returns {Promise<object|null>} - Grant object or null
+     */
+    async getActiveGrant(ownerId, granteeId) {
+        return (await this.readGrants())
+            .find(grant => grant.status === 'active' && grant.ownerId === ownerId && grant.granteeId === granteeId) || null;
+    },
+    
+    /**
+     * Invite another account (by email) to view or edit the owner's applications and documents.
+     * Inviting someone who already has a pending or active grant changes its access level.
+     * @param {string} ownerId - Owner's user ID
+     * @param {string} email - Email of the account to invite
+     * @param {string} access - Access level ('view' or 'edit', see AccessPolicy.accessLevels)
+     * @returns {Promise<object>} - Result object with success status and grant
+     */
+    async inviteDelegate(ownerId, email, access) {
+        const denied = await this.authorize('delegation:manage', { userId: ownerId });
+        if (denied) {
+            return denied;
+        }
+        
+        const granteeEmail = String(email || '').trim().toLowerCase();
+        if (!granteeEmail) {
+            return { success: false, message: 'Please enter an email address' };
+        }
+        if (!Object.prototype.hasOwnProperty.call(AccessPolicy.accessLevels, access)) {
+            return { success: false, message: `Unknown access level "${access}"` };
+        }
+        
+        const owner = await this.readUser(ownerId);
+        if (owner.email.toLowerCase() === granteeEmail) {
+            return { success: false, message: 'You already have access to your own applications' };
+        }
+        
+        const now = new Date().toISOString();
+        const grant = await this.transaction(async tx => {
+            const grants = await tx.get(this.GRANTS_KEY) || [];
+            let existing = grants.find(entry => entry.ownerId === ownerId && entry.granteeEmail === granteeEmail &&
+                (entry.status === 'pending' || entry.status === 'active'));
+            
+            if (existing) {
+                existing.access = access;
+                existing.updatedAt = now;
+            } else {
+                existing = {
+                    id: this.generateId('grant_'),
+                    ownerId: ownerId,
+                    ownerName: owner.name,
+                    ownerEmail: owner.email,
+                    granteeEmail: granteeEmail,
+                    granteeId: null,
+                    granteeName: null,
+                    access: access,
+                    status: 'pending',
+                    createdAt: now,
+                    updatedAt: now
+                };
+                grants.push(existing);
+            }
+            
+            await tx.set(this.GRANTS_KEY, grants);
+            return existing;
+        });
+        
+        this.emit('grants:changed', { ownerId: ownerId, grantId: grant.id });
+        return { success: true, grant: grant };
+    },
+    
+    /**
+     * Get the grants an owner has given that are still pending or active
+     * @param {string} ownerId - Owner's user ID
+     * @returns {Promise<Array|object>} - Array of grant objects, or a forbidden result
+     */
+    async getGrantsGiven(ownerId) {
+        const denied = await this.authorize('delegation:manage', { userId: ownerId });
+        if (denied) {
+            return denied;
+        }
+        
+        return (await this.readGrants())
+            .filter(grant => grant.ownerId === ownerId && (grant.status === 'pending' || grant.status === 'active'));
+    },
+    
+    /**
+     * Get the grants other accounts have given to a user: active ones and invitations waiting for an answer
+     * @param {string} userId - Grantee's user ID
+     * @returns {Promise<Array|object>} - Array of grant objects, or a forbidden result
+     */
+    async getGrantsReceived(userId) {
+        const denied = await this.authorize('delegation:manage', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const user = await this.readUser(userId);
+        const email = user.email.toLowerCase();
+        return (await this.readGrants()).filter(grant =>
+            (grant.status === 'active' && grant.granteeId === userId) ||
+            (grant.status === 'pending' && grant.granteeEmail === email));
+    },
+    
+    /**
+     * Accept or decline an invitation sent to the user's email
+     * @param {string} userId - Invited user's ID
+     * @param {string} grantId - Grant ID
+     * @param {boolean} accept - True to accept, false to decline
+     * @returns {Promise<object>} - Result object with success status and grant
+     */
+    async respondToInvitation(userId, grantId, accept) {
+        const denied = await this.authorize('delegation:manage', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const user = await this.readUser(userId);
+        const result = await this.transaction(async tx => {
+            const grants = await tx.get(this.GRANTS_KEY) || [];
+            const grant = grants.find(entry => entry.id === grantId && entry.status === 'pending' &&
+                entry.granteeEmail === user.email.toLowerCase());
+            if (!grant) {
+                return { success: false, message: 'Invitation not found' };
+            }
+            
+            grant.status = accept ? 'active' : 'declined';
+            grant.granteeId = userId;
+            grant.granteeName = user.name;
+            grant.respondedAt = new Date().toISOString();
+            grant.updatedAt = grant.respondedAt;
+            
+            await tx.set(this.GRANTS_KEY, grants);
+            return { success: true, grant: grant };
+        });
+        
+        if (result.success) {
+            this.emit('grants:changed', { ownerId: result.grant.ownerId, grantId: grantId });
+        }
+        return result;
+    },
+    
+    /**
+     * End a pending or active grant. The owner can revoke it, and the grantee can give it up.
+     * @param {string} userId - ID of the owner or grantee
+     * @param {string} grantId - Grant ID
+     * @returns {Promise<object>} - Result object
+     */
+    async revokeGrant(userId, grantId) {
+        const denied = await this.authorize('delegation:manage', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const result = await this.transaction(async tx => {
+            const grants = await tx.get(this.GRANTS_KEY) || [];
+            const grant = grants.find(entry => entry.id === grantId &&
+                (entry.status === 'pending' || entry.status === 'active') &&
+                (entry.ownerId === userId || entry.granteeId === userId));
+            if (!grant) {
+                return { success: false, message: 'Access grant not found' };
+            }
+            
+            grant.status = 'revoked';
+            grant.revokedAt = new Date().toISOString();
+            grant.revokedBy = userId;
+            grant.updatedAt = grant.revokedAt;
+            
+            await tx.set(this.GRANTS_KEY, grants);
+            return { success: true, message: 'Access removed', ownerId: grant.ownerId };
+        });
+        
+        if (result.success) {
+            this.emit('grants:changed', { ownerId: result.ownerId, grantId: grantId });
+        }
+        return result;
+    },
+    
+    // ===== Password Hashing =====
+    
+    /**
+     * Derive a password hash with PBKDF2
+     * @param {string} password - Plaintext password
+     * @param {object} options - Optional existing `salt` (base64) and `iterations` to reproduce a hash
+     * @returns {Promise<object>} - Hash record ({ algorithm, iterations, salt, hash })
+     */
+    async hashPassword(password, options = {}) {
+        const iterations = options.iterations || this.PASSWORD_HASH_ITERATIONS;
+        const salt = options.salt
+            ? this.base64ToBytes(options.salt)
+            : crypto.getRandomValues(new Uint8Array(this.PASSWORD_SALT_BYTES));
+        
+        const keyMaterial = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(password),
+            'PBKDF2',
+            false,
+            ['deriveBits']
+        );
+        
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations },
+            keyMaterial,
+            this.PASSWORD_HASH_BITS
+        );
+        
+        return {
+            algorithm: this.PASSWORD_HASH_ALGORITHM,
+            iterations: iterations,
+            salt: this.bytesToBase64(salt),
+            hash: this.bytesToBase64(new Uint8Array(bits))
+        };
+    },
+    
+    /**
+     * Check whether a value looks like a hash record produced by hashPassword
+     * @param {any} value - Value to check
+     * @returns {boolean} - Whether the value is a usable hash record
+     */
+    isPasswordHash(value) {
+        return Boolean(value &&
+            value.algorithm === this.PASSWORD_HASH_ALGORITHM &&
+            Number.isInteger(value.iterations) &&
+            typeof value.salt === 'string' &&
+            typeof value.hash === 'string');
+    },
+    
+    /**
+     * Verify a password against a stored hash record
+     * @param {string} password - Plaintext password to check
+     * @param {object} passwordHash - Stored hash record
+     * @returns {Promise<boolean>} - Whether the password matches
+     */
+    async verifyPassword(password, passwordHash) {
+        if (!this.isPasswordHash(passwordHash)) {
+            return false;
+        }
+        
+        const candidate = await this.hashPassword(password, passwordHash);
+        return this.constantTimeEqual(
+            this.base64ToBytes(candidate.hash),
+            this.base64ToBytes(passwordHash.hash)
+        );
+    },
+    
+    /**
+     * Verify a user's password, accepting legacy plaintext records
+     * @param {object} user - Stored user object
+     * @param {string} password - Plaintext password to check
+     * @returns {Promise<boolean>} - Whether the password matches
+     */
+    async verifyUserPassword(user, password) {
+        if (user.passwordHash) {
+            return await this.verifyPassword(password, user.passwordHash);
+        }
+        
+        if (typeof user.password !== 'string') {
+            return false;
+        }
+        
+        // Compare digests so the comparison does not depend on where the strings differ
+        const encoder = new TextEncoder();
+        const [expected, actual] = await Promise.all([
+            crypto.subtle.digest('SHA-256', encoder.encode(user.password)),
+            crypto.subtle.digest('SHA-256', encoder.encode(password))
+        ]);
+        return this.constantTimeEqual(new Uint8Array(expected), new Uint8Array(actual));
+    },
+    
+    /**
+     * Compare two byte arrays in time independent of their contents
+     * @param {Uint8Array} a - First byte array
+     * @param {Uint8Array} b - Second byte array
+     * @returns {boolean} - Whether the arrays are equal
+     */
+    constantTimeEqual(a, b) {
+        let diff = a.length ^ b.length;
+        const length = Math.max(a.length, b.length);
+        
+        for (let i = 0; i < length; i++) {
+            diff |= (a[i] | 0) ^ (b[i] | 0);
+        }
+        
+        return diff === 0;
+    },
+    
+    // ===== Password Reset =====
+    
+    /**
+     * Get all stored password reset requests
+     * @returns {Promise<Array>} - Array of reset request objects
+     */
+    async getPasswordResets() {
+        return await this.get(this.PASSWORD_RESETS_KEY) || [];
+    },
+    
+    /**
+     * Delete the stored password reset requests that match a test
+     * @param {Function} predicate - Receives a reset request and returns true to delete it
+     * @returns {Promise<void>}
+     */
+    async removePasswordResets(predicate) {
+        await this.transaction(async tx => {
+            const resets = await tx.get(this.PASSWORD_RESETS_KEY) || [];
+            await tx.set(this.PASSWORD_RESETS_KEY, resets.filter(r => !predicate(r)));
+        });
+    },
+    
+    /**
+     * Start a password reset: issue a single-use, time-limited token and deliver the reset link.
+     * The result is the same whether or not the email is registered.
+     * @param {string} email - Account email
+     * @param {object} options - Optional `resetUrl` of the reset page (defaults to reset-password.html)
+     * @returns {Promise<object>} - Result object with success status and message
+     */
+    async requestPasswordReset(email, options = {}) {
+        if (!email) {
+            return { success: false, message: 'Please enter your email address' };
+        }
+        
+        const genericResult = {
+            success: true,
+            message: 'If an account exists for this email, a password reset link has been sent.'
+        };
+        
+        const user = await this.readUserByEmail(email);
+        if (!user) {
+            return genericResult;
+        }
+        
+        const token = this.generateToken();
+        const now = Date.now();
+        const reset = {
+            id: this.generateId('rst_'),
+            userId: user.id,
+            tokenHash: await this.sha256Hex(token),
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.PASSWORD_RESET_TTL).toISOString()
+        };
+        
+        // A new request replaces any outstanding token for this user; expired tokens are dropped
+        await this.transaction(async tx => {
+            const resets = (await tx.get(this.PASSWORD_RESETS_KEY) || []).filter(r =>
+                r.userId !== user.id && new Date(r.expiresAt).getTime() > now
+            );
+            resets.push(reset);
+            await tx.set(this.PASSWORD_RESETS_KEY, resets);
+        });
+        
+        const link = new URL(options.resetUrl || 'reset-password.html', window.location.href);
+        link.searchParams.set('token', token);
+        
+        const delivery = await Mailer.send({
+            to: user.email,
+            subject: 'Reset your Visa Guide AIA password',
+            text: `Hello ${user.name},\n\nUse the link below to choose a new password. ` +
+                `It expires in ${Math.round(this.PASSWORD_RESET_TTL / 60000)} minutes and can only be used once.\n\n` +
+                `${link.href}\n\nIf you did not request a password reset, you can ignore this message.`,
+            link: link.href
+        });
+        
+        if (!delivery.success) {
+            await this.removePasswordResets(r => r.id === reset.id);
+            return { success: false, message: 'We could not send the reset link. Please try again later.' };
+        }
+        
+        return genericResult;
+    },
+    
+    /**
+     * Check a password reset token without using it
+     * @param {string} token - Token from the reset link
+     * @returns {Promise<object>} - Result object with success status and the matching reset request
+     */
+    async validatePasswordResetToken(token) {
+        if (!token) {
+            return { success: false, message: 'This password reset link is invalid.' };
+        }
+        
+        const tokenHash = await this.sha256Hex(token);
+        const reset = (await this.getPasswordResets()).find(r => r.tokenHash === tokenHash);
+        
+        if (!reset || !await this.readUser(reset.userId)) {
+            return { success: false, message: 'This password reset link is invalid or has already been used.' };
+        }
+        
+        if (Date.now() >= new Date(reset.expiresAt).getTime()) {
+            await this.removePasswordResets(r => r.id === reset.id);
+            return { success: false, message: 'This password reset link has expired. Please request a new one.' };
+        }
+        
+        return { success: true, reset: reset };
+    },
+    
+    /**
+     * Complete a password reset: set the new password and invalidate the token
+     * @param {string} token - Token from the reset link
+     * @param {string} newPassword - New password
+     * @returns {Promise<object>} - Result object
+     */
+    async resetPassword(token, newPassword) {
+        if (!newPassword || newPassword.length < 6) {
+            return { success: false, message: 'Password must be at least 6 characters' };
+        }
+        
+        const validation = await this.validatePasswordResetToken(token);
+        if (!validation.success) {
+            return validation;
+        }
+        
+        const { reset } = validation;
+        
+        // Invalidate the token before changing the password so it cannot be replayed
+        await this.removePasswordResets(r => r.userId === reset.userId);
+        
+        const result = await this.writeUserPassword(reset.userId, newPassword);
+        if (!result.success) {
+            return result;
+        }
+        
+        // Sign out everywhere the old password was used
+        await this.endUserSessions(reset.userId);
+        
+        let message = 'Your password has been reset. You can now sign in.';
+        if (result.vaultReset) {
+            message += ' Encrypted passport and contact details could not be recovered and will need to be re-entered.';
+        }
+        
+        return { success: true, message: message };
+    },
+    
+    // ===== Application Management =====
+    
+    /**
+     * Get all applications as stored, sensitive fields sealed in vault mode (admin only)
+     * @returns {Promise<Array|object>} - Array of application objects, or a forbidden result
+     */
+    async getApplications() {
+        const denied = await this.authorize('application:list');
+        if (denied) {
+            return denied;
+        }
+        
+        return this.readApplications();
+    },
+    
+    /**
+     * Read every stored application without an access check (for Storage's own use)
+     * @returns {Promise<Array>} - Array of application objects
+     */
+    async readApplications() {
+        return await this.get(this.APPLICATIONS_KEY) || [];
+    },
+    
+    /**
+     * Read, change and save the applications list as one atomic step
+     * @param {Function} fn - Receives the applications array, changes it in place and returns a result
+     * @returns {Promise<any>} - Whatever fn returns
+     */
+    async modifyApplications(fn) {
+        return this.transaction(async tx => {
+            const applications = await tx.get(this.APPLICATIONS_KEY) || [];
+            const result = await fn(applications);
+            await tx.set(this.APPLICATIONS_KEY, applications);
+            return result;
+        });
+    },
+    
+    /**
+     * Get a lightweight summary of each of a user's applications, newest first.
+     * Summaries only use fields that are never encrypted, so they work while the vault is locked.
+     * @param {string} userId - User ID
+     * @returns {Promise<Array|object>} - Array of { id, form, destination, visaType, status, createdAt, updatedAt, submittedAt, draftStep, personId, familyId,
+     *                                   biometricsAppointment, interviewAppointment, oathAppointment, decidedAt, payments, feeWaiver, checklist, checklistProgress }, or a forbidden result
+     */
+    async getApplicationSummaries(userId) {
+        const denied = await this.authorize('application:read', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        return (await this.readApplications())
+            .filter(app => app.userId === userId)
+            .map(app => ({
+                id: app.id,
+                form: app.form || 'visa',
+                destination: app.destination,
+                visaType: app.visaType,
+                status: app.status,
+                createdAt: app.createdAt,
+                updatedAt: app.updatedAt,
+                submittedAt: app.submittedAt || null,
+                draftStep: app.draftStep || null,
+                personId: app.personId || null,
+                familyId: app.familyId || null,
+                biometricsAppointment: app.biometricsAppointment || null,
+                interviewAppointment: app.interviewAppointment || null,
+                oathAppointment: app.oathAppointment || null,
+                decidedAt: app.decidedAt || null,
+                payments: app.payments || [],
+                feeWaiver: app.feeWaiver || null,
+                checklist: app.checklist || [],
+                checklistProgress: this.getChecklistProgress(app.checklist)
+            }))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    },
+    
+    /**
+     * Get applications for a specific user, decrypted when the user's vault is unlocked
+     * @param {string} userId - User ID
+     * @returns {Promise<Array|object>} - Array of application objects, or a forbidden result
+     */
+    async getUserApplications(userId) {
+        const denied = await this.authorize('application:read', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const applications = (await this.readApplications()).filter(app => app.userId === userId);
+        const key = await this.getVaultKey(userId);
+        return Promise.all(applications.map(app => this.openApplication(app, key)));
+    },
+    
+    /**
+     * Get a specific application by ID, decrypted when the owner's vault is unlocked
+     * @param {string} applicationId - Application ID
+     * @returns {Promise<object|null>} - Application object, null, or a forbidden result
+     */
+    async getApplicationById(applicationId) {
+        const application = (await this.readApplications()).find(app => app.id === applicationId);
+        if (!application) {
+            return null;
+        }
+        
+        const denied = await this.authorize('application:read', application);
+        if (denied) {
+            return denied;
+        }
+        
+        const key = await this.getVaultKey(application.userId);
+        return await this.openApplication(application, key);
+    },
+    
+    /**
+     * Add a new application
+     * @param {string} userId - User ID
+     * @param {object} applicationData - Application form data
+     * @returns {Promise<object>} - Result object with success status and application
+     */
+    async addApplication(userId, applicationData) {
+        const denied = await this.authorize('application:write', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        // Validate user exists
+        const user = await this.readUser(userId);
+        if (!user) {
+            return { success: false, message: 'User not found' };
+        }
+        
+        // Read-only fields (owner, history, reviewer notes, dates) are set here; only the starting status is taken
+        const status = applicationData.status || 'pending';
+        if (!ApplicationStatus.initial.includes(status)) {
+            return { success: false, message: `A new application cannot start as ${ApplicationStatus.getLabel(status)}` };
+        }
+        
+        const changes = { ...applicationData };
+        this.READONLY_APPLICATION_FIELDS.forEach(field => {
+            delete changes[field];
+        });
+        if (applicationData.checklist) {
+            changes.checklist = this.buildChecklist(applicationData.checklist);
+        }
+        const formError = this.validateApplicationForm(changes);
+        if (formError) {
+            return { success: false, message: formError };
+        }
+        
+        // Create new application
+        const now = new Date().toISOString();
+        const newApplication = {
+            ...changes,
+            id: this.generateId('app_'),
+            userId: userId,
+            status: status,
+            createdAt: now,
+            updatedAt: now,
+            submittedAt: status === 'draft' ? null : now
+        };
+        
+        const actor = await this.getActor(userId);
+        newApplication.history = [
+            this.createHistoryEvent('status', { ...actor, from: null, to: newApplication.status })
+        ];
+        
+        const key = await this.getVaultKey(userId);
+        const lockedError = this.getVaultLockedError(applicationData, key, actor.actorId !== userId);
+        if (lockedError) {
+            return { success: false, message: lockedError };
+        }
+        
+        // Save to applications
+        const sealed = await this.sealApplication(newApplication, key);
+        await this.modifyApplications(applications => {
+            applications.push(sealed);
+        });
+        this.emit('applications:changed', { userId: userId, applicationId: newApplication.id });
+        
+        return { success: true, application: newApplication };
+    },
+    
+    /**
+     * Get the form an application is made on from its visa type
+     * @param {string} visaType - Visa type
+     * @returns {string} - Form ID (see APPLICATION_FORMS)
+     */
+    getApplicationForm(visaType) {
+        return Object.keys(this.APPLICATION_FORMS).find(form => visaType && this.APPLICATION_FORMS[form].visaType === visaType) || 'visa';
+    },
+    
+    /**
+     * Check an application's form is known and agrees with its destination and visa type
+     * @param {object} application - Application data (form, destination, visaType); fields not filled in yet are not checked
+     * @returns {string|null} - Error message, or null if valid
+     */
+    validateApplicationForm(application) {
+        const formId = application.form || 'visa';
+        if (!Object.prototype.hasOwnProperty.call(this.APPLICATION_FORMS, formId)) {
+            return `Unknown application form "${formId}"`;
+        }
+        
+        const form = this.APPLICATION_FORMS[formId];
+        const expected = this.getApplicationForm(application.visaType);
+        if (application.visaType && expected !== formId) {
+            return form.visaType
+                ? `${form.label} is only for ${form.visaType} applications`
+                : `${application.visaType} applications are made on ${this.APPLICATION_FORMS[expected].label}`;
+        }
+        if (form.destination && application.destination && application.destination !== form.destination) {
+            return `${form.label} can only be filed in the ${form.destination}`;
+        }
+        return null;
+    },
+    
+    /**
+     * Update an existing application. Only applications whose status is editable
+     * (see application-status.js) can be changed, and read-only fields (status,
+     * dates, admin notes) are ignored.
+     * @param {string} userId - User ID
+     * @param {string} applicationId - Application ID
+     * @param {object} applicationData - Updated application data
+     * @returns {Promise<object>} - Result object
+     */
+    async updateApplication(userId, applicationId, applicationData) {
+        const denied = await this.authorize('application:write', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const existing = (await this.readApplications()).find(app => app.id === applicationId && app.userId === userId);
+        
+        if (!existing) {
+            return { success: false, message: 'Application not found' };
+        }
+        
+        if (!ApplicationStatus.isEditable(existing.status)) {
+            return { success: false, message: `An application that is ${ApplicationStatus.getLabel(existing.status)} can no longer be changed` };
+        }
+        
+        const changes = { ...applicationData };
+        this.READONLY_APPLICATION_FIELDS.forEach(field => {
+            delete changes[field];
+        });
+        if (applicationData.checklist) {
+            changes.checklist = this.buildChecklist(applicationData.checklist, existing.checklist);
+        }
+        const formError = this.validateApplicationForm({ ...existing, ...changes });
+        if (formError) {
+            return { success: false, message: formError };
+        }
+        
+        return this.saveApplication(existing, changes, await this.getActor(userId));
+    },
+    
+    /**
+     * Merge changes into a stored application and save it, re-sealing its sensitive fields
+     * and recording what changed in its history
+     * @param {object} existing - Application as currently stored
+     * @param {object} applicationData - Fields to change
+     * @param {object} options - `actorId` and `actorName` of who is making the change (the owner or a delegate) and an optional `note` for the history
+     * @returns {Promise<object>} - Result object with success status and application
+     */
+    async saveApplication(existing, applicationData, options = {}) {
+        const change = await this.prepareApplicationChange(existing, applicationData, options);
+        if (!change.success) {
+            return change;
+        }
+        
+        const result = await this.modifyApplications(applications => this.applyApplicationChange(applications, change));
+        
+        if (result.success) {
+            this.emit('applications:changed', { userId: existing.userId, applicationId: existing.id });
+        }
+        return result;
+    },
+    
+    /**
+     * Work out an application change before it is written: the merged application, its
+     * sealed copy and the history events it adds (see saveApplication)
+     * @param {object} existing - Application as currently stored
+     * @param {object} applicationData - Fields to change
+     * @param {object} options - Who is making the change, as for saveApplication
+     * @returns {Promise<object>} - { success, existing, updated, sealed, events }, or a failed result
+     */
+    async prepareApplicationChange(existing, applicationData, options = {}) {
+        const key = await this.getVaultKey(existing.userId);
+        const lockedError = this.getVaultLockedError(applicationData, key, Boolean(options.actorId) && options.actorId !== existing.userId);
+        if (lockedError) {
+            return { success: false, message: lockedError };
+        }
+        
+        // Update application
+        const previous = await this.openApplication(existing, key);
+        const updated = {
+            ...previous,
+            ...applicationData,
+            updatedAt: new Date().toISOString()
+        };
+        const events = this.getHistoryEvents(previous, updated, options);
+        let sealed = await this.sealApplication(updated, key);
+        if (!key && existing.sealed) {
+            // Saved by a delegate, who has no key: the encrypted fields are kept as they are
+            sealed = { ...updated, sealed: existing.sealed };
+            delete sealed.locked;
+        }
+        
+        return { success: true, existing: existing, updated: updated, sealed: sealed, events: events };
+    },
+    
+    /**
+     * Write a prepared application change into the stored applications list
+     * @param {Array} applications - Applications list, changed in place
+     * @param {object} change - Result of prepareApplicationChange
+     * @returns {object} - Result object with success status and application
+     */
+    applyApplicationChange(applications, change) {
+        const { existing, updated, sealed, events } = change;
+        const appIndex = applications.findIndex(app => app.id === existing.id && app.userId === existing.userId);
+        if (appIndex === -1) {
+            return { success: false, message: 'Application not found' };
+        }
+        
+        // Append to the stored history so events recorded meanwhile are kept
+        updated.history = [...(applications[appIndex].history || []), ...events];
+        sealed.history = updated.history;
+        applications[appIndex] = sealed;
+        return { success: true, application: updated };
+    },
+    
+    /**
+     * Submit a draft application: save the final form data and move it to pending
+     * @param {string} userId - User ID
+     * @param {string} applicationId - Draft application ID
+     * @param {object} applicationData - Final application form data
+     * @returns {Promise<object>} - Result object with success status and application
+     */
+    async submitApplication(userId, applicationId, applicationData) {
+        const denied = await this.authorize('application:write', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const existing = (await this.readApplications()).find(app => app.id === applicationId && app.userId === userId);
+        
+        if (!existing) {
+            return { success: false, message: 'Application not found' };
+        }
+        
+        if (existing.status !== 'draft') {
+            return { success: false, message: 'This application has already been submitted' };
+        }
+        
+        const transitionError = ApplicationStatus.validateTransition(existing.status, 'pending');
+        if (transitionError) {
+            return { success: false, message: transitionError };
+        }
+        
+        const changes = { ...applicationData };
+        this.READONLY_APPLICATION_FIELDS.forEach(field => {
+            delete changes[field];
+        });
+        if (applicationData.checklist) {
+            changes.checklist = this.buildChecklist(applicationData.checklist, existing.checklist);
+        }
+        const formError = this.validateApplicationForm({ ...existing, ...changes });
+        if (formError) {
+            return { success: false, message: formError };
+        }
+        
+        return this.saveApplication(existing, {
+            ...changes,
+            status: 'pending',
+            draftStep: null,
+            submittedAt: new Date().toISOString()
+        }, await this.getActor(userId));
+    },
+    
+    /**
+     * Submit every draft in a family group together, so the household's applications
+     * reach the case officers at the same time
+     * @param {string} userId - User ID
+     * @param {string} familyId - Family group ID
+     * @param {object} checklists - Document checklist for each application, by application ID
+     * @returns {Promise<object>} - Result object with success status and the submitted applications
+     */
+    async submitFamilyApplications(userId, familyId, checklists = {}) {
+        const denied = await this.authorize('application:write', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const drafts = (await this.readApplications())
+            .filter(app => app.userId === userId && app.familyId === familyId && app.status === 'draft');
+        if (drafts.length === 0) {
+            return { success: false, message: 'This family application has no drafts left to submit' };
+        }
+        
+        const actor = await this.getActor(userId);
+        const submittedAt = new Date().toISOString();
+        const changes = [];
+        for (const draft of drafts) {
+            const change = await this.prepareApplicationChange(draft, {
+                status: 'pending',
+                draftStep: null,
+                submittedAt: submittedAt,
+                checklist: this.buildChecklist(checklists[draft.id] || draft.checklist, draft.checklist)
+            }, actor);
+            if (!change.success) {
+                return change;
+            }
+            changes.push(change);
+        }
+        
+        // Submit the whole family in one write: either every draft is submitted or none is
+        const result = await this.modifyApplications(applications => {
+            const stillDrafts = changes.every(({ existing }) => applications.some(app => app.id === existing.id && app.status === 'draft'));
+            if (!stillDrafts) {
+                return { success: false, message: 'This family application changed while it was being submitted. Please try again.' };
+            }
+            
+            return {
+                success: true,
+                applications: changes.map(change => this.applyApplicationChange(applications, change).application)
+            };
+        });
+        
+        if (result.success) {
+            this.emit('applications:changed', { userId: userId, familyId: familyId, applicationIds: result.applications.map(app => app.id) });
+        }
+        return result;
+    },
+    
+    /**
+     * Withdraw a submitted application, keeping it on record with the applicant's reason
+     * @param {string} userId - User ID
+     * @param {string} applicationId - Application ID
+     * @param {string} reason - Why the applicant is withdrawing
+     * @returns {Promise<object>} - Result object with success status and application
+     */
+    async withdrawApplication(userId, applicationId, reason) {
+        const denied = await this.authorize('application:write', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const withdrawalReason = (reason || '').trim();
+        if (!withdrawalReason) {
+            return { success: false, message: 'Please give a reason for withdrawing' };
+        }
+        
+        const existing = (await this.readApplications()).find(app => app.id === applicationId && app.userId === userId);
+        
+        if (!existing) {
+            return { success: false, message: 'Application not found' };
+        }
+        
+        const transitionError = ApplicationStatus.validateTransition(existing.status, 'withdrawn');
+        if (transitionError) {
+            return { success: false, message: transitionError };
+        }
+        
+        return this.saveApplication(existing, {
+            status: 'withdrawn',
+            withdrawnAt: new Date().toISOString(),
+            withdrawalReason: withdrawalReason
+        }, { ...(await this.getActor(userId)), note: withdrawalReason });
+    },
+    
+    /**
+     * Delete a draft application. Submitted applications keep their history on record
+     * and are withdrawn instead (see withdrawApplication).
+     * @param {string} userId - User ID
+     * @param {string} applicationId - Application ID
+     * @returns {Promise<object>} - Result object
+     */
+    async deleteApplication(userId, applicationId) {
+        const denied = await this.authorize('application:write', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const result = await this.modifyApplications(applications => {
+            const appIndex = applications.findIndex(app => app.id === applicationId && app.userId === userId);
+            if (appIndex === -1) {
+                return { success: false, message: 'Application not found' };
+            }
+            if (applications[appIndex].status !== 'draft') {
+                return { success: false, message: 'Only drafts can be deleted. Withdraw a submitted application instead.' };
+            }
+            
+            applications.splice(appIndex, 1);
+            return { success: true, message: 'Application deleted successfully' };
+        });
+        
+        if (result.success) {
+            this.emit('applications:changed', { userId: userId, applicationId: applicationId });
+        }
+        return result;
+    },
+    
+    /**
+     * Get every submitted application with its applicant, for case officers (admin only).
+     * Sensitive fields stay sealed: they can only be opened with the applicant's vault key.
+     * @returns {Promise<object>} - Result object with success status and applications, newest first
+     */
+    async getApplicationsForReview() {
+        const denied = await this.authorize('application:review');
+        if (denied) {
+            return denied;
+        }
+        
+        const users = await this.readUsers();
+        const applications = (await this.readApplications())
+            .filter(app => app.status !== 'draft')
+            .map(app => {
+                const applicant = users.find(user => user.id === app.userId);
+                const review = { ...app, applicant: applicant ? { id: applicant.id, name: applicant.name, email: applicant.email } : null };
+                delete review.sealed;
+                return review;
+            })
+            .sort((a, b) => new Date(b.submittedAt || b.createdAt) - new Date(a.submittedAt || a.createdAt));
+        
+        return { success: true, applications: applications };
+    },
+    
+    /**
+     * Update application status (admin only). The change must be allowed by the
+     * lifecycle in application-status.js; passing the current status just adds a note.
+     * @param {string} applicationId - Application ID
+     * @param {string} status - New status
+     * @param {string} adminNotes - Optional admin notes; without one the earlier note is kept
+     * @returns {Promise<object>} - Result object
+     */
+    async updateApplicationStatus(applicationId, status, adminNotes = '') {
+        const admin = await this.getCurrentUser();
+        const reason = AccessPolicy.check(admin, 'application:review');
+        if (reason) {
+            return this.forbidden(reason);
+        }
+        
+        if (!ApplicationStatus.reviewerStatuses.includes(status)) {
+            return { success: false, message: `Case officers cannot set an application to ${ApplicationStatus.getLabel(status)}` };
+        }
+        
+        const result = await this.modifyApplications(applications => {
+            const appIndex = applications.findIndex(app => app.id === applicationId);
+            
+            if (appIndex === -1) {
+                return { success: false, message: 'Application not found' };
+            }
+            
+            const previousStatus = applications[appIndex].status;
+            if (previousStatus !== status) {
+                const transitionError = ApplicationStatus.validateTransition(previousStatus, status);
+                if (transitionError) {
+                    return { success: false, message: transitionError };
+                }
+            }
+            
+            applications[appIndex].history = [
+                ...(applications[appIndex].history || []),
+                this.createHistoryEvent(previousStatus === status ? 'note' : 'status', {
+                    actorId: admin.id,
+                    actorName: admin.name,
+                    from: previousStatus,
+                    to: status,
+                    note: adminNotes
+                })
+            ];
+            
+            // A status change without a note keeps the earlier note
+            applications[appIndex].status = status;
+            if (adminNotes) {
+                applications[appIndex].adminNotes = adminNotes;
+            }
+            applications[appIndex].updatedAt = new Date().toISOString();
+            
+            if (status === 'approved') {
+                applications[appIndex].approvedAt = new Date().toISOString();
+            }
+            if (ApplicationStatus.isDecision(status) && previousStatus !== status) {
+                applications[appIndex].decidedAt = new Date().toISOString();
+            }
+            
+            return { success: true, application: applications[appIndex] };
+        });
+        
+        if (result.success) {
+            this.emit('applications:changed', { userId: result.application.userId, applicationId: applicationId });
+        }
+        return result;
+    },
+    
+    /**
+     * Update the status of several applications at once (admin only)
+     * @param {Array} applicationIds - Application IDs
+     * @param {string} status - New status
+     * @param {string} adminNotes - Optional admin notes, added to each application
+     * @returns {Promise<object>} - Result object with the IDs updated and the failures ({ id, message })
+     */
+    async updateApplicationStatuses(applicationIds, status, adminNotes = '') {
+        const updated = [];
+        const failed = [];
+        
+        for (const applicationId of applicationIds) {
+            const result = await this.updateApplicationStatus(applicationId, status, adminNotes);
+            if (result.success) {
+                updated.push(applicationId);
+            } else {
+                failed.push({ id: applicationId, message: result.message });
+            }
+        }
+        
+        return { success: failed.length === 0, updated: updated, failed: failed };
+    },
+    
+    /**
+     * Set (or clear) an appointment for an application (admin only): biometrics or an interview
+     * while it is in progress, the oath ceremony once it is approved (see APPOINTMENT_TYPES)
+     * @param {string} applicationId - Application ID
+     * @param {string} type - Appointment type, e.g. 'biometrics'
+     * @param {string} appointment - Date and time (YYYY-MM-DDTHH:mm), or '' to clear it
+     * @param {string} location - Where the appointment is held
+     * @returns {Promise<object>} - Result object with success status and application
+     */
+    async scheduleAppointment(applicationId, type, appointment, location = '') {
+        const admin = await this.getCurrentUser();
+        const reason = AccessPolicy.check(admin, 'application:review');
+        if (reason) {
+            return this.forbidden(reason);
+        }
+        
+        const appointmentType = this.APPOINTMENT_TYPES[type];
+        if (!appointmentType) {
+            return { success: false, message: `Unknown appointment type "${type}"` };
+        }
+        if (appointment && isNaN(new Date(appointment).getTime())) {
+            return { success: false, message: 'Please enter a valid appointment date and time' };
+        }
+        
+        const field = `${type}Appointment`;
+        const result = await this.modifyApplications(applications => {
+            const application = applications.find(app => app.id === applicationId);
+            if (!application) {
+                return { success: false, message: 'Application not found' };
+            }
+            if (appointmentType.afterApproval ? application.status !== 'approved' : !ApplicationStatus.isInProgress(application.status)) {
+                const when = appointmentType.afterApproval ? 'once an application is approved' : 'while an application is in progress';
+                return { success: false, message: `${appointmentType.label} can only be scheduled ${when}, not ${ApplicationStatus.getLabel(application.status)}` };
+            }
+            
+            const previous = application[field] || null;
+            application[field] = appointment || null;
+            application[`${type}Location`] = appointment ? location.trim() : '';
+            application.updatedAt = new Date().toISOString();
+            application.history = [
+                ...(application.history || []),
+                this.createHistoryEvent('field', {
+                    actorId: admin.id,
+                    actorName: admin.name,
+                    field: field,
+                    from: previous,
+                    to: application[field],
+                    note: application[`${type}Location`]
+                })
+            ];
+            
+            return { success: true, application: application };
+        });
+        
+        if (result.success) {
+            this.emit('applications:changed', { userId: result.application.userId, applicationId: applicationId });
+        }
+        return result;
+    },
+    
+    // ===== Payments =====
+    
+    /**
+     * Record a fee payment against an application
+     * @param {string} userId - Application owner's user ID
+     * @param {string} applicationId - Application ID
+     * @param {object} paymentData - Payment details (see PAYMENT_FIELDS)
+     * @returns {Promise<object>} - Result object with success status and payment
+     */
+    async addPayment(userId, applicationId, paymentData) {
+        const denied = await this.authorize('application:write', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const payment = {
+            ...this.pickFields(paymentData, this.PAYMENT_FIELDS),
+            id: this.generateId('pay_'),
+            recordedAt: new Date().toISOString()
+        };
+        const error = this.validatePayment(payment);
+        if (error) {
+            return { success: false, message: error };
+        }
+        payment.amount = Math.round(Number(payment.amount) * 100) / 100;
+        payment.currency = (payment.currency || 'USD').toUpperCase();
+        
+        const actor = await this.getActor(userId);
+        const result = await this.modifyApplications(applications => {
+            const application = applications.find(app => app.id === applicationId && app.userId === userId);
+            if (!application) {
+                return { success: false, message: 'Application not found' };
+            }
+            
+            application.payments = [...(application.payments || []), payment];
+            application.updatedAt = payment.recordedAt;
+            application.history = [
+                ...(application.history || []),
+                this.createHistoryEvent('payment', { ...actor, to: `${payment.amount} ${payment.currency}`, note: payment.receiptNumber })
+            ];
+            return { success: true, payment: payment };
+        });
+        
+        if (result.success) {
+            this.emit('applications:changed', { userId: userId, applicationId: applicationId });
+        }
+        return result;
+    },
+    
+    /**
+     * Remove a fee payment recorded in error
+     * @param {string} userId - Application owner's user ID
+     * @param {string} applicationId - Application ID
+     * @param {string} paymentId - Payment ID
+     * @returns {Promise<object>} - Result object
+     */
+    async removePayment(userId, applicationId, paymentId) {
+        const denied = await this.authorize('application:write', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const actor = await this.getActor(userId);
+        const result = await this.modifyApplications(applications => {
+            const application = applications.find(app => app.id === applicationId && app.userId === userId);
+            const payment = application && (application.payments || []).find(entry => entry.id === paymentId);
+            if (!payment) {
+                return { success: false, message: 'Payment not found' };
+            }
+            
+            application.payments = application.payments.filter(entry => entry.id !== paymentId);
+            application.updatedAt = new Date().toISOString();
+            application.history = [
+                ...(application.history || []),
+                this.createHistoryEvent('payment', { ...actor, from: `${payment.amount} ${payment.currency}`, note: payment.receiptNumber })
+            ];
+            return { success: true, message: 'Payment removed' };
+        });
+        
+        if (result.success) {
+            this.emit('applications:changed', { userId: userId, applicationId: applicationId });
+        }
+        return result;
+    },
+    
+    /**
+     * Record the household details an application's fee waiver or reduced fee is claimed on,
+     * or clear them to pay the full fee. Only possible before a decision.
+     * @param {string} userId - Application owner's user ID
+     * @param {string} applicationId - Application ID
+     * @param {object|null} waiverData - { householdSize, income } (see FEE_WAIVER_FIELDS), or null to clear
+     * @returns {Promise<object>} - Result object with success status and feeWaiver
+     */
+    async setFeeWaiver(userId, applicationId, waiverData) {
+        const denied = await this.authorize('application:write', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        let feeWaiver = null;
+        if (waiverData) {
+            const householdSize = Number(waiverData.householdSize);
+            const income = Number(waiverData.income);
+            if (!Number.isInteger(householdSize) || householdSize < 1) {
+                return { success: false, message: 'Please enter how many people are in your household' };
+            }
+            if (waiverData.income === '' || waiverData.income === undefined || isNaN(income) || income < 0) {
+                return { success: false, message: 'Please enter your annual household income' };
+            }
+            feeWaiver = { householdSize: householdSize, income: Math.round(income * 100) / 100, recordedAt: new Date().toISOString() };
+        }
+        
+        const actor = await this.getActor(userId);
+        const describe = waiver => waiver ? `household of ${waiver.householdSize}, income ${waiver.income} USD` : null;
+        const result = await this.modifyApplications(applications => {
+            const application = applications.find(app => app.id === applicationId && app.userId === userId);
+            if (!application) {
+                return { success: false, message: 'Application not found' };
+            }
+            if (application.status !== 'draft' && !ApplicationStatus.isInProgress(application.status)) {
+                return { success: false, message: `A fee waiver cannot be changed on an application that is ${ApplicationStatus.getLabel(application.status)}` };
+            }
+            
+            const previous = application.feeWaiver || null;
+            application.feeWaiver = feeWaiver;
+            application.updatedAt = new Date().toISOString();
+            application.history = [
+                ...(application.history || []),
+                this.createHistoryEvent('payment', { ...actor, field: 'feeWaiver', from: describe(previous), to: describe(feeWaiver) })
+            ];
+            return { success: true, feeWaiver: feeWaiver };
+        });
+        
+        if (result.success) {
+            this.emit('applications:changed', { userId: userId, applicationId: applicationId });
+        }
+        return result;
+    },
+    
+    /**
+     * Check a payment has a positive amount, a known method and a date that is not in the future
+     * @param {object} payment - Payment object
+     * @returns {string|null} - Error message, or null if valid
+     */
+    validatePayment(payment) {
+        const amount = Number(payment.amount);
+        if (!payment.amount || isNaN(amount) || amount <= 0) {
+            return 'Please enter the amount paid';
+        }
+        if (payment.currency && !/^[A-Za-z]{3}$/.test(payment.currency)) {
+            return 'Please enter a three-letter currency code, e.g. USD';
+        }
+        if (!this.PAYMENT_METHODS[payment.method]) {
+            return 'Please choose how you paid';
+        }
+        if (!payment.date || isNaN(new Date(payment.date))) {
+            return 'Please enter the date you paid';
+        }
+        if (new Date(`${payment.date.slice(0, 10)}T00:00:00`) > new Date()) {
+            return 'The payment date cannot be in the future';
+        }
+        return null;
+    },
+    
+    // ===== Personal Records =====
+    // Per-user lists of personal details (household members, passports, trips) kept under one
+    // storage key each and sealed with the owner's vault key like applications.
+    
+    /**
+     * Get a user's records from a personal record list, decrypted when the vault is unlocked
+     * @param {string} storeKey - Storage key of the list
+     * @param {string} userId - Owner's user ID
+     * @returns {Promise<Array>} - Array of records
+     */
+    async getPersonalRecords(storeKey, userId) {
+        const records = (await this.get(storeKey) || []).filter(record => record.userId === userId);
+        const key = await this.getVaultKey(userId);
+        return Promise.all(records.map(record => this.openApplication(record, key)));
+    },
+    
+    /**
+     * Seal and save a personal record, replacing the stored one with the same ID
+     * @param {string} storeKey - Storage key of the list
+     * @param {object} record - Record to save (with `id` and `userId`)
+     * @param {object} options - { create: true } to add a new record
+     * @returns {Promise<string|null>} - Error message, or null once saved
+     */
+    async putPersonalRecord(storeKey, record, options = {}) {
+        const key = await this.getVaultKey(record.userId);
+        const lockedError = this.getVaultLockedError(record, key, false);
+        if (lockedError) {
+            return lockedError;
+        }
+        
+        const sealed = await this.sealApplication(record, key);
+        return this.transaction(async tx => {
+            const records = await tx.get(storeKey) || [];
+            const index = records.findIndex(entry => entry.id === record.id && entry.userId === record.userId);
+            if (options.create) {
+                records.push(sealed);
+            } else if (index === -1) {
+                return 'Record not found';
+            } else {
+                records[index] = sealed;
+            }
+            await tx.set(storeKey, records);
+            return null;
+        });
+    },
+    
+    /**
+     * Seal and add several personal records at once (all are saved or none)
+     * @param {string} storeKey - Storage key of the list
+     * @param {string} userId - Owner's user ID
+     * @param {Array} newRecords - Records to add (with `id` and `userId`)
+     * @returns {Promise<string|null>} - Error message, or null once saved
+     */
+    async addPersonalRecords(storeKey, userId, newRecords) {
+        if (newRecords.length === 0) {
+            return null;
+        }
+        
+        const key = await this.getVaultKey(userId);
+        const lockedError = this.getVaultLockedError(newRecords[0], key, false);
+        if (lockedError) {
+            return lockedError;
+        }
+        
+        const sealed = await Promise.all(newRecords.map(record => this.sealApplication(record, key)));
+        return this.transaction(async tx => {
+            await tx.set(storeKey, [...(await tx.get(storeKey) || []), ...sealed]);
+            return null;
+        });
+    },
+    
+    /**
+     * Delete a personal record
+     * @param {string} storeKey - Storage key of the list
+     * @param {string} userId - Owner's user ID
+     * @param {string} recordId - Record ID
+     * @returns {Promise<boolean>} - True if a record was deleted
+     */
+    async deletePersonalRecord(storeKey, userId, recordId) {
+        return this.transaction(async tx => {
+            const records = await tx.get(storeKey) || [];
+            const remaining = records.filter(record => !(record.id === recordId && record.userId === userId));
+            await tx.set(storeKey, remaining);
+            return remaining.length < records.length;
+        });
+    },
+    
+    /**
+     * Keep only the given fields of submitted details, as trimmed strings
+     * @param {object} data - Submitted details
+     * @param {Array} fields - Field names to keep
+     * @returns {object} - Picked fields
+     */
+    pickFields(data, fields) {
+        const picked = {};
+        fields.forEach(field => {
+            if (data[field] !== undefined) {
+                picked[field] = String(data[field] || '').trim();
+            }
+        });
+        return picked;
+    },
+    
+    // ===== Household =====
+    
+    /**
+     * Get the people in a user's household (spouse, children...), decrypted when the vault is unlocked
+     * @param {string} userId - Account holder's user ID
+     * @returns {Promise<Array|object>} - Array of person objects, or a forbidden result
+     */
+    async getHousehold(userId) {
+        const denied = await this.authorize('household:read', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        return this.getPersonalRecords(this.HOUSEHOLD_KEY, userId);
+    },
+    
+    /**
+     * Add a person to a user's household
+     * @param {string} userId - Account holder's user ID
+     * @param {object} personData - Person details (see PERSON_FIELDS)
+     * @returns {Promise<object>} - Result object with success status and person
+     */
+    async addHouseholdMember(userId, personData) {
+        const denied = await this.authorize('household:write', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const now = new Date().toISOString();
+        const person = {
+            ...this.pickFields(personData, this.PERSON_FIELDS),
+            id: this.generateId('per_'),
+            userId: userId,
+            createdAt: now,
+            updatedAt: now
+        };
+        
+        const error = this.validatePerson(person) || await this.putPersonalRecord(this.HOUSEHOLD_KEY, person, { create: true });
+        if (error) {
+            return { success: false, message: error };
+        }
+        
+        this.emit('household:changed', { userId: userId, personId: person.id });
+        return { success: true, person: person };
+    },
+    
+    /**
+     * Update a person in a user's household
+     * @param {string} userId - Account holder's user ID
+     * @param {string} personId - Person ID
+     * @param {object} personData - Details to change (see PERSON_FIELDS)
+     * @returns {Promise<object>} - Result object with success status and person
+     */
+    async updateHouseholdMember(userId, personId, personData) {
+        const denied = await this.authorize('household:write', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const existing = (await this.getPersonalRecords(this.HOUSEHOLD_KEY, userId)).find(person => person.id === personId);
+        if (!existing) {
+            return { success: false, message: 'Household member not found' };
+        }
+        if (existing.locked) {
+            return { success: false, message: 'Your secure vault is locked. Please sign in again.' };
+        }
+        
+        const updated = {
+            ...existing,
+            ...this.pickFields(personData, this.PERSON_FIELDS),
+            updatedAt: new Date().toISOString()
+        };
+        const error = this.validatePerson(updated) || await this.putPersonalRecord(this.HOUSEHOLD_KEY, updated);
+        if (error) {
+            return { success: false, message: error };
+        }
+        
+        this.emit('household:changed', { userId: userId, personId: personId });
+        return { success: true, person: updated };
+    },
+    
+    /**
+     * Remove a person from a user's household. Their applications are kept.
+     * @param {string} userId - Account holder's user ID
+     * @param {string} personId - Person ID
+     * @returns {Promise<object>} - Result object
+     */
+    async removeHouseholdMember(userId, personId) {
+        const denied = await this.authorize('household:write', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        if (!(await this.deletePersonalRecord(this.HOUSEHOLD_KEY, userId, personId))) {
+            return { success: false, message: 'Household member not found' };
+        }
+        
+        this.emit('household:changed', { userId: userId, personId: personId });
+        return { success: true, message: 'Household member removed' };
+    },
+    
+    /**
+     * Check a household record has what every person needs
+     * @param {object} person - Person object
+     * @returns {string|null} - Error message, or null if valid
+     */
+    validatePerson(person) {
+        if (!Object.prototype.hasOwnProperty.call(this.HOUSEHOLD_RELATIONSHIPS, person.relationship)) {
+            return 'Please choose how this person is related to you';
+        }
+        if (!person.fullName) {
+            return 'Please enter the person\'s full name';
+        }
+        return null;
+    },
+    
+    // ===== Passports =====
+    
+    /**
+     * Get the passports saved on a user's profile, primary first
+     * @param {string} userId - User ID
+     * @returns {Promise<Array|object>} - Array of passport objects, or a forbidden result
+     */
+    async getPassports(userId) {
+        const denied = await this.authorize('user:read', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        return (await this.getPersonalRecords(this.PASSPORTS_KEY, userId))
+            .sort((a, b) => Number(Boolean(b.primary)) - Number(Boolean(a.primary)) || new Date(a.createdAt) - new Date(b.createdAt));
+    },
+    
+    /**
+     * Save a passport on a user's profile. The first passport becomes the primary one.
+     * @param {string} userId - User ID
+     * @param {object} passportData - Passport details (see PASSPORT_FIELDS), and `primary` to make it the primary passport
+     * @returns {Promise<object>} - Result object with success status and passport
+     */
+    async addPassport(userId, passportData) {
+        const denied = await this.authorize('user:update', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const passports = await this.getPersonalRecords(this.PASSPORTS_KEY, userId);
+        const now = new Date().toISOString();
+        const passport = {
+            ...this.pickFields(passportData, this.PASSPORT_FIELDS),
+            id: this.generateId('pass_'),
+            userId: userId,
+            primary: passports.length === 0 || Boolean(passportData.primary),
+            createdAt: now,
+            updatedAt: now
+        };
+        
+        const error = this.validatePassport(passport) || await this.putPersonalRecord(this.PASSPORTS_KEY, passport, { create: true });
+        if (error) {
+            return { success: false, message: error };
+        }
+        if (passport.primary) {
+            await this.setPrimaryPassport(userId, passport.id);
+        }
+        
+        this.emit('profile:changed', { userId: userId, passportId: passport.id });
+        return { success: true, passport: passport };
+    },
+    
+    /**
+     * Update a saved passport
+     * @param {string} userId - User ID
+     * @param {string} passportId - Passport ID
+     * @param {object} passportData - Details to change (see PASSPORT_FIELDS), and `primary` to make it the primary passport
+     * @returns {Promise<object>} - Result object with success status and passport
+     */
+    async updatePassport(userId, passportId, passportData) {
+        const denied = await this.authorize('user:update', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const existing = (await this.getPersonalRecords(this.PASSPORTS_KEY, userId)).find(passport => passport.id === passportId);
+        if (!existing) {
+            return { success: false, message: 'Passport not found' };
+        }
+        if (existing.locked) {
+            return { success: false, message: 'Your secure vault is locked. Please sign in again.' };
+        }
+        
+        const updated = {
+            ...existing,
+            ...this.pickFields(passportData, this.PASSPORT_FIELDS),
+            updatedAt: new Date().toISOString()
+        };
+        const error = this.validatePassport(updated) || await this.putPersonalRecord(this.PASSPORTS_KEY, updated);
+        if (error) {
+            return { success: false, message: error };
+        }
+        if (passportData.primary && !existing.primary) {
+            await this.setPrimaryPassport(userId, passportId);
+            updated.primary = true;
+        }
+        
+        this.emit('profile:changed', { userId: userId, passportId: passportId });
+        return { success: true, passport: updated };
+    },
+    
+    /**
+     * Delete a saved passport. If it was the primary one, the next passport takes its place.
+     * @param {string} userId - User ID
+     * @param {string} passportId - Passport ID
+     * @returns {Promise<object>} - Result object
+     */
+    async removePassport(userId, passportId) {
+        const denied = await this.authorize('user:update', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const removed = (await this.getPersonalRecords(this.PASSPORTS_KEY, userId)).find(passport => passport.id === passportId);
+        if (!removed || !(await this.deletePersonalRecord(this.PASSPORTS_KEY, userId, passportId))) {
+            return { success: false, message: 'Passport not found' };
+        }
+        
+        const remaining = (await this.get(this.PASSPORTS_KEY) || []).filter(passport => passport.userId === userId);
+        if (removed.primary && remaining.length > 0) {
+            await this.setPrimaryPassport(userId, remaining[0].id);
+        }
+        
+        this.emit('profile:changed', { userId: userId, passportId: passportId });
+        return { success: true, message: 'Passport removed' };
+    },
+    
+    /**
+     * Mark one of a user's passports as primary (the `primary` flag is not encrypted)
+     * @param {string} userId - User ID
+     * @param {string} passportId - Passport ID
+     * @returns {Promise<void>}
+     */
+    async setPrimaryPassport(userId, passportId) {
+        await this.transaction(async tx => {
+            const passports = await tx.get(this.PASSPORTS_KEY) || [];
+            passports
+                .filter(passport => passport.userId === userId)
+                .forEach(passport => {
+                    passport.primary = passport.id === passportId;
+                });
+            await tx.set(this.PASSPORTS_KEY, passports);
+        });
+    },
+    
+    /**
+     * Check a passport record has what the wizard and expiry warnings need
+     * @param {object} passport - Passport object
+     * @returns {string|null} - Error message, or null if valid
+     */
+    validatePassport(passport) {
+        if (!passport.passportNumber) {
+            return 'Please enter the passport number';
+        }
+        if (!passport.passportExpiry || isNaN(new Date(passport.passportExpiry))) {
+            return 'Please enter the passport expiry date';
+        }
+        if (passport.passportIssueDate && new Date(passport.passportIssueDate) >= new Date(passport.passportExpiry)) {
+            return 'The expiry date must be after the issue date';
+        }
+        return null;
+    },
+    
+    /**
+     * Work out whether a passport has expired or expires soon
+     * @param {object} passport - Passport object
+     * @param {number} now - Current time in milliseconds
+     * @returns {object} - { status: 'valid' | 'expiring' | 'expired' | 'unknown', daysLeft }
+     */
+    getPassportExpiryStatus(passport, now = Date.now()) {
+        const expiry = new Date(passport.passportExpiry).getTime();
+        if (!passport.passportExpiry || isNaN(expiry)) {
+            return { status: 'unknown', daysLeft: null };
+        }
+        
+        const daysLeft = Math.ceil((expiry - now) / (24 * 60 * 60 * 1000));
+        if (daysLeft < 0) {
+            return { status: 'expired', daysLeft: daysLeft };
+        }
+        return { status: daysLeft <= this.PASSPORT_EXPIRY_WARNING_DAYS ? 'expiring' : 'valid', daysLeft: daysLeft };
+    },
+    
+    // ===== Travel Log =====
+    
+    /**
+     * Get the trips outside the U.S. in a user's travel log, most recent first
+     * @param {string} userId - User ID
+     * @returns {Promise<Array|object>} - Array of trip objects, or a forbidden result
+     */
+    async getTrips(userId) {
+        const denied = await this.authorize('user:read', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        return (await this.getPersonalRecords(this.TRIPS_KEY, userId))
+            .sort((a, b) => String(b.departureDate).localeCompare(String(a.departureDate)));
+    },
+    
+    /**
+     * Add a trip to a user's travel log
+     * @param {string} userId - User ID
+     * @param {object} tripData - Trip details (see TRIP_FIELDS); leave returnDate empty while still abroad
+     * @returns {Promise<object>} - Result object with success status and trip
+     */
+    async addTrip(userId, tripData) {
+        const denied = await this.authorize('user:update', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const now = new Date().toISOString();
+        const trip = {
+            ...this.pickFields(tripData, this.TRIP_FIELDS),
+            id: this.generateId('trip_'),
+            userId: userId,
+            createdAt: now,
+            updatedAt: now
+        };
+        
+        const trips = await this.getPersonalRecords(this.TRIPS_KEY, userId);
+        const error = this.validateTrip(trip, trips) || await this.putPersonalRecord(this.TRIPS_KEY, trip, { create: true });
+        if (error) {
+            return { success: false, message: error };
+        }
+        
+        this.emit('trips:changed', { userId: userId, tripId: trip.id });
+        return { success: true, trip: trip };
+    },
+    
+    /**
+     * Update a trip in a user's travel log
+     * @param {string} userId - User ID
+     * @param {string} tripId - Trip ID
+     * @param {object} tripData - Details to change (see TRIP_FIELDS)
+     * @returns {Promise<object>} - Result object with success status and trip
+     */
+    async updateTrip(userId, tripId, tripData) {
+        const denied = await this.authorize('user:update', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const trips = await this.getPersonalRecords(this.TRIPS_KEY, userId);
+        const existing = trips.find(trip => trip.id === tripId);
+        if (!existing) {
+            return { success: false, message: 'Trip not found' };
+        }
+        if (existing.locked) {
+            return { success: false, message: 'Your secure vault is locked. Please sign in again.' };
+        }
+        
+        const updated = {
+            ...existing,
+            ...this.pickFields(tripData, this.TRIP_FIELDS),
+            updatedAt: new Date().toISOString()
+        };
+        const error = this.validateTrip(updated, trips) || await this.putPersonalRecord(this.TRIPS_KEY, updated);
+        if (error) {
+            return { success: false, message: error };
+        }
+        
+        this.emit('trips:changed', { userId: userId, tripId: tripId });
+        return { success: true, trip: updated };
+    },
+    
+    /**
+     * Delete a trip from a user's travel log
+     * @param {string} userId - User ID
+     * @param {string} tripId - Trip ID
+     * @returns {Promise<object>} - Result object
+     */
+    async removeTrip(userId, tripId) {
+        const denied = await this.authorize('user:update', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        if (!(await this.deletePersonalRecord(this.TRIPS_KEY, userId, tripId))) {
+            return { success: false, message: 'Trip not found' };
+        }
+        
+        this.emit('trips:changed', { userId: userId, tripId: tripId });
+        return { success: true, message: 'Trip removed' };
+    },
+    
+    /**
+     * Import trips into a user's travel log from CSV text
+     * The first row names the columns (see TRIP_CSV_COLUMNS); dates are YYYY-MM-DD or MM/DD/YYYY.
+     * Nothing is saved unless every row is valid; rows matching a trip already in the log are skipped.
+     * @param {string} userId - User ID
+     * @param {string} csvText - CSV file contents
+     * @returns {Promise<object>} - Result object with success status, imported and skipped counts,
+     *                              and `errors` ([{ line, message }]) when rows are invalid
+     */
+    async importTrips(userId, csvText) {
+        const denied = await this.authorize('user:update', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const rows = this.parseCsv(csvText).filter(row => row.some(cell => cell.trim()));
+        if (rows.length < 2) {
+            return { success: false, message: 'The file has no trips to import' };
+        }
+        
+        const columns = rows[0].map(heading => this.TRIP_CSV_COLUMNS[heading.toLowerCase().replace(/[^a-z]/g, '')] || null);
+        if (!columns.includes('departureDate')) {
+            return { success: false, message: 'The file needs a "Departure Date" column' };
+        }
+        
+        const existing = await this.getPersonalRecords(this.TRIPS_KEY, userId);
+        const known = [...existing];
+        const trips = [];
+        const errors = [];
+        let skipped = 0;
+        const now = new Date().toISOString();
+        
+        rows.slice(1).forEach((row, index) => {
+            const line = index + 2;
+            const values = {};
+            columns.forEach((field, column) => {
+                if (field && row[column] !== undefined) {
+                    values[field] = row[column];
+                }
+            });
+            const trip = {
+                ...this.pickFields(values, this.TRIP_FIELDS),
+                id: this.generateId('trip_'),
+                userId: userId,
+                createdAt: now,
+                updatedAt: now
+            };
+            
+            const departureDate = this.parseCsvDate(trip.departureDate);
+            const returnDate = this.parseCsvDate(trip.returnDate);
+            if (departureDate === null || returnDate === null) {
+                errors.push({ line: line, message: 'Dates must be written as YYYY-MM-DD or MM/DD/YYYY' });
+                return;
+            }
+            trip.departureDate = departureDate;
+            trip.returnDate = returnDate;
+            
+            if (existing.some(entry => entry.departureDate === trip.departureDate && (entry.returnDate || '') === trip.returnDate)) {
+                skipped++;
+                return;
+            }
+            
+            const error = this.validateTrip(trip, known);
+            if (error) {
+                errors.push({ line: line, message: error });
+                return;
+            }
+            known.push(trip);
+            trips.push(trip);
+        });
+        
+        if (errors.length > 0) {
+            return {
+                success: false,
+                message: `${errors.length} ${errors.length === 1 ? 'row has' : 'rows have'} problems; no trips were imported`,
+                errors: errors
+            };
+        }
+        
+        const error = await this.addPersonalRecords(this.TRIPS_KEY, userId, trips);
+        if (error) {
+            return { success: false, message: error };
+        }
+        
+        if (trips.length > 0) {
+            this.emit('trips:changed', { userId: userId });
+        }
+        const skippedNote = skipped > 0 ? ` (${skipped} already in your log)` : '';
+        return {
+            success: true,
+            message: `Imported ${trips.length} ${trips.length === 1 ? 'trip' : 'trips'}${skippedNote}`,
+            imported: trips.length,
+            skipped: skipped
+        };
+    },
+    
+    /**
+     * Convert a date from a CSV cell to YYYY-MM-DD
+     * @param {string} value - Cell text (YYYY-MM-DD, MM/DD/YYYY or empty)
+     * @returns {string|null} - Date string ('' for an empty cell), or null if it is not a valid date
+     */
+    parseCsvDate(value) {
+        if (!value) {
+            return '';
+        }
+        
+        const iso = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        const us = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+        if (!iso && !us) {
+            return null;
+        }
+        const [year, month, day] = (iso ? [iso[1], iso[2], iso[3]] : [us[3], us[1], us[2]]).map(Number);
+        
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return null;
+        }
+        return date.toISOString().slice(0, 10);
+    },
+    
+    /**
+     * Check a trip has valid dates that do not overlap the user's other trips
+     * A trip may start on the day the previous one ended (returning and leaving again the same day).
+     * @param {object} trip - Trip object
+     * @param {Array} otherTrips - The user's trips to check against (the trip itself is ignored)
+     * @returns {string|null} - Error message, or null if valid
+     */
+    validateTrip(trip, otherTrips = []) {
+        if (!trip.departureDate || isNaN(new Date(trip.departureDate))) {
+            return 'Please enter the date you left the U.S.';
+        }
+        if (trip.returnDate && isNaN(new Date(trip.returnDate))) {
+            return 'Please enter a valid return date';
+        }
+        if (trip.returnDate && trip.returnDate < trip.departureDate) {
+            return 'The return date cannot be before the departure date';
+        }
+        
+        // Trips still going on (no return date) run on indefinitely
+        const end = entry => entry.returnDate || '9999-12-31';
+        const overlapping = otherTrips.find(other => other.id !== trip.id && other.departureDate
+            && trip.departureDate < end(other) && other.departureDate < end(trip));
+        if (overlapping) {
+            return `These dates overlap your trip from ${overlapping.departureDate} to ${overlapping.returnDate || 'now'}`;
+        }
+        return null;
+    },
+    
+    // ===== Application History =====
+    
+    /**
+     * Create an application history event
+     * @param {string} type - 'status' (status change), 'field' (field edit), 'payment' (fee payment
+     *                        recorded in `to` or removed in `from`, or with field 'feeWaiver' the fee
+     *                        waiver details) or 'note' (reviewer note)
+     * @param {object} details - { actorId, actorName?, field?, from, to, note?, redacted? }
+     * @returns {object} - History event
+     */
+    createHistoryEvent(type, details) {
+        return {
+            id: this.generateId('hist_'),
+            type: type,
+            at: new Date().toISOString(),
+            actorId: details.actorId || null,
+            actorName: details.actorName || null,
+            field: details.field || null,
+            from: details.from === undefined ? null : details.from,
+            to: details.to === undefined ? null : details.to,
+            note: details.note || '',
+            redacted: Boolean(details.redacted)
+        };
+    },
+    
+    /**
+     * Work out the history events for a change to an application. Field edits are
+     * only recorded once the application has been submitted, and the values of
+     * sensitive fields are left out so the history never holds them in plaintext.
+     * @param {object} previous - Application before the change (opened)
+     * @param {object} updated - Application after the change
+     * @param {object} options - `actorId` and `actorName` making the change and an optional `note`
+     * @returns {Array} - History events
+     */
+    getHistoryEvents(previous, updated, options = {}) {
+        const events = [];
+        
+        if (previous.status !== 'draft') {
+            Object.keys(updated)
+                .filter(field => !this.UNTRACKED_APPLICATION_FIELDS.includes(field) && !this.READONLY_APPLICATION_FIELDS.includes(field))
+                .filter(field => JSON.stringify(previous[field] ?? '') !== JSON.stringify(updated[field] ?? ''))
+                .forEach(field => {
+                    const redacted = this.SENSITIVE_APPLICATION_FIELDS.includes(field);
+                    events.push(this.createHistoryEvent('field', {
+                        actorId: options.actorId,
+                        actorName: options.actorName,
+                        field: field,
+                        from: redacted ? null : previous[field] ?? null,
+                        to: redacted ? null : updated[field] ?? null,
+                        redacted: redacted
+                    }));
+                });
+        }
+        
+        if (previous.status !== updated.status) {
+            events.push(this.createHistoryEvent('status', {
+                actorId: options.actorId,
+                actorName: options.actorName,
+                from: previous.status,
+                to: updated.status,
+                note: options.note
+            }));
+        }
+        
+        return events;
+    },
+    
+    // ===== Document Checklists =====
+    
+    /**
+     * Count how many of a checklist's items have a document attached
+     * @param {Array} checklist - Checklist items ({ id, label, category, required, documentId })
+     * @returns {object} - { attached, total, required, requiredAttached, complete }
+     */
+    getChecklistProgress(checklist = []) {
+        const items = checklist || [];
+        const required = items.filter(item => item.required);
+        
+        return {
+            attached: items.filter(item => item.documentId).length,
+            total: items.length,
+            required: required.length,
+            requiredAttached: required.filter(item => item.documentId).length,
+            complete: required.every(item => item.documentId)
+        };
+    },
+    
+    /**
+     * Take the items of a new checklist (see VisaRules.getChecklist), keeping the documents
+     * attached to the application's current one. Documents are only attached through
+     * linkChecklistDocument, which checks they belong to the applicant.
+     * @param {Array} items - Checklist items ({ id, label, category, required })
+     * @param {Array} existingChecklist - Application's current checklist
+     * @returns {Array} - Checklist items ({ id, label, category, required, documentId })
+     */
+    buildChecklist(items, existingChecklist = []) {
+        const existing = existingChecklist || [];
+        return (Array.isArray(items) ? items : [])
+            .filter(item => item && item.id)
+            .map(item => {
+                const current = existing.find(entry => entry.id === item.id);
+                return {
+                    id: String(item.id),
+                    label: String(item.label || ''),
+                    category: String(item.category || ''),
+                    required: Boolean(item.required),
+                    documentId: current ? current.documentId || null : null
+                };
+            });
+    },
+    
+    /**
+     * Attach one of the user's documents to a checklist item, or detach it
+     * @param {string} userId - User ID
+     * @param {string} applicationId - Application ID
+     * @param {string} itemId - Checklist item ID
+     * @param {string|null} documentId - Document ID, or null to detach
+     * @returns {Promise<object>} - Result object with success status and checklist
+     */
+    async linkChecklistDocument(userId, applicationId, itemId, documentId) {
+        const denied = await this.authorize('application:write', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        if (documentId && !(await this.readDocument(userId, documentId))) {
+            return { success: false, message: 'Document not found' };
+        }
+        
+        const result = await this.modifyApplications(applications => {
+            const application = applications.find(app => app.id === applicationId && app.userId === userId);
+            if (!application) {
+                return { success: false, message: 'Application not found' };
+            }
+            
+            const item = (application.checklist || []).find(entry => entry.id === itemId);
+            if (!item) {
+                return { success: false, message: 'Checklist item not found' };
+            }
+            
+            item.documentId = documentId || null;
+            application.updatedAt = new Date().toISOString();
+            return { success: true, checklist: application.checklist };
+        });
+        
+        if (result.success) {
+            this.emit('applications:changed', { userId: userId, applicationId: applicationId });
+        }
+        return result;
+    },
+    
+    /**
+     * Detach a document from every checklist item that uses it (after the document is deleted)
+     * @param {string} userId - User ID
+     * @param {string} documentId - Document ID
+     * @returns {Promise<void>}
+     */
+    async unlinkChecklistDocument(userId, documentId) {
+        const changed = await this.modifyApplications(applications => {
+            const affected = [];
+            applications
+                .filter(app => app.userId === userId && Array.isArray(app.checklist))
+                .forEach(app => {
+                    app.checklist.forEach(item => {
+                        if (item.documentId === documentId) {
+                            item.documentId = null;
+                            if (!affected.includes(app.id)) affected.push(app.id);
+                        }
+                    });
+                });
+            return affected;
+        });
+        
+        changed.forEach(applicationId => {
+            this.emit('applications:changed', { userId: userId, applicationId: applicationId });
+        });
+    },
+    
+    // ===== Vault (Encryption at Rest) =====
+    
+    /**
+     * Derive the key that wraps a user's vault key from their password
+     * @param {string} password - Plaintext password
+     * @param {object} vault - Vault record providing `salt` and `iterations`
+     * @returns {Promise<CryptoKey>} - AES-GCM wrapping key
+     */
+    async deriveVaultWrappingKey(password, vault) {
+        const keyMaterial = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(password),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+        
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: this.base64ToBytes(vault.salt), iterations: vault.iterations },
+            keyMaterial,
+            { name: this.VAULT_ALGORITHM, length: 256 },
+            false,
+            ['wrapKey', 'unwrapKey']
+        );
+    },
+    
+    /**
+     * Wrap a vault key with a password
+     * @param {CryptoKey} key - Vault data key
+     * @param {string} password - Plaintext password
+     * @returns {Promise<object>} - Vault record ({ algorithm, iterations, salt, iv, wrappedKey })
+     */
+    async wrapVaultKey(key, password) {
+        const vault = {
+            algorithm: this.VAULT_ALGORITHM,
+            iterations: this.PASSWORD_HASH_ITERATIONS,
+            salt: this.bytesToBase64(crypto.getRandomValues(new Uint8Array(this.PASSWORD_SALT_BYTES)))
+        };
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const wrappingKey = await this.deriveVaultWrappingKey(password, vault);
+        const wrapped = await crypto.subtle.wrapKey('raw', key, wrappingKey, { name: this.VAULT_ALGORITHM, iv: iv });
+        
+        return {
+            ...vault,
+            iv: this.bytesToBase64(iv),
+            wrappedKey: this.bytesToBase64(new Uint8Array(wrapped))
+        };
+    },
+    
+    /**
+     * Unwrap a vault key with a password. Keys kept for a session are not extractable, so no
+     * script can export them; only re-wrapping for a password change needs an extractable copy.
+     * @param {object} vault - Vault record
+     * @param {string} password - Plaintext password
+     * @param {boolean} extractable - Whether the key can be exported (to wrap it again)
+     * @returns {Promise<CryptoKey|null>} - Vault data key, or null if the password does not open it
+     */
+    async unwrapVaultKey(vault, password, extractable = false) {
+        try {
+            const wrappingKey = await this.deriveVaultWrappingKey(password, vault);
+            return await crypto.subtle.unwrapKey(
+                'raw',
+                this.base64ToBytes(vault.wrappedKey),
+                wrappingKey,
+                { name: this.VAULT_ALGORITHM, iv: this.base64ToBytes(vault.iv) },
+                { name: this.VAULT_ALGORITHM, length: 256 },
+                extractable,
+                ['encrypt', 'decrypt']
+            );
+        } catch (error) {
+            return null;
+        }
+    },
+    
+    /**
+     * Create a new random vault data key, extractable so it can be wrapped with the password
+     * @returns {Promise<CryptoKey>} - AES-GCM key
+     */
+    async generateVaultKey() {
+        return crypto.subtle.generateKey({ name: this.VAULT_ALGORITHM, length: 256 }, true, ['encrypt', 'decrypt']);
+    },
+    
+    /**
+     * Unlock a user's vault for the current session, creating the vault on first use.
+     * Any of the user's applications still stored in plaintext are sealed.
+     * @param {string} userId - User ID
+     * @param {string} password - The user's (already verified) password
+     * @returns {Promise<boolean>} - Whether the vault is unlocked
+     */
+    async unlockVault(userId, password) {
+        if (!this.VAULT_ENABLED) {
+            return false;
+        }
+        
+        const sessionId = this.getCurrentSessionId();
+        const user = await this.readUser(userId);
+        if (!sessionId || !user) {
+            return false;
+        }
+        
+        let key = user.vault ? await this.unwrapVaultKey(user.vault, password) : null;
+        
+        if (!key) {
+            // No vault yet, or one that can no longer be opened: start a new one, keeping
+            // only a non-extractable copy of its key
+            const vault = await this.wrapVaultKey(await this.generateVaultKey(), password);
+            key = await this.unwrapVaultKey(vault, password);
+            
+            const saved = await this.transaction(async tx => {
+                const users = await tx.get(this.USERS_KEY) || [];
+                const entry = users.find(u => u.id === userId);
+                if (!entry) {
+                    return false;
+                }
+                if (entry.vault) {
+                    await this.discardSealedApplicationData(tx, userId);
+                }
+                entry.vault = vault;
+                await tx.set(this.USERS_KEY, users);
+                return true;
+            });
+            if (!saved) {
+                return false;
+            }
+        }
+        
+        try {
+            await this.dbRequest(this.VAULT_KEYS_STORE, 'readwrite',
+                store => store.put({ sessionId: sessionId, userId: userId, key: key }));
+        } catch (error) {
+            console.error('Error saving vault key to IndexedDB:', error);
+        }
+        this._vaultKey = { sessionId: sessionId, userId: userId, key: key };
+        
+        await this.sealUserApplications(userId, key);
+        return true;
+    },
+    
+    /**
+     * Forget the vault key held for a session
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<void>}
+     */
+    async lockVault(sessionId) {
+        if (this._vaultKey && this._vaultKey.sessionId === sessionId) {
+            this._vaultKey = null;
+        }
+        
+        await this.dbRequest(this.VAULT_KEYS_STORE, 'readwrite', store => store.delete(sessionId))
+            .catch(error => console.error('Error removing vault key from IndexedDB:', error));
+    },
+    
+    /**
+     * Remove vault keys whose session no longer exists
+     * @returns {Promise<void>}
+     */
+    async pruneVaultKeys() {
+        try {
+            const sessionIds = new Set((await this.getSessions()).map(s => s.id));
+            const keys = await this.dbRequest(this.VAULT_KEYS_STORE, 'readonly', store => store.getAllKeys());
+            const stale = keys.filter(sessionId => !sessionIds.has(sessionId));
+            
+            if (stale.length > 0) {
+                await this.dbRequest(this.VAULT_KEYS_STORE, 'readwrite', store => {
+                    stale.forEach(sessionId => store.delete(sessionId));
+                    return store.count();
+                });
+            }
+        } catch (error) {
+            console.error('Error pruning vault keys:', error);
+        }
+    },
+    
+    /**
+     * Get the unlocked vault key for a user in the current session
+     * @param {string} userId - User ID
+     * @returns {Promise<CryptoKey|null>} - Vault key, or null if vault mode is off or the vault is locked
+     */
+    async getVaultKey(userId) {
+        if (!this.VAULT_ENABLED) {
+            return null;
+        }
+        
+        const status = await this.getSessionStatus();
+        if (!status.active || status.session.userId !== userId) {
+            return null;
+        }
+        
+        if (this._vaultKey && this._vaultKey.sessionId === status.session.id) {
+            return this._vaultKey.key;
+        }
+        
+        try {
+            const record = await this.dbRequest(this.VAULT_KEYS_STORE, 'readonly',
+                store => store.get(status.session.id));
+            if (record && record.userId === userId) {
+                this._vaultKey = record;
+                return record.key;
+            }
+        } catch (error) {
+            console.error('Error reading vault key from IndexedDB:', error);
         }
         
-        applications[appIndex].status = status;
-        applications[appIndex].adminNotes = adminNotes;
-        applications[appIndex].updatedAt = new Date().toISOString();
+        return null;
+    },
+    
+    /**
+     * Prepare the vault for a password change
+     * @param {string} userId - User ID
+     * @param {string} newPassword - New password
+     * @param {string} currentPassword - Current password, if known
+     * @returns {Promise<object>} - { vault, reset }: the re-wrapped (or new) vault record and whether old data was lost
+     */
+    async rewrapVault(userId, newPassword, currentPassword = '') {
+        const user = await this.readUser(userId);
+        if (!this.VAULT_ENABLED || !user || !user.vault) {
+            return { vault: null, reset: false };
+        }
+        
+        // The session's key cannot be exported, so open an extractable copy with the current password
+        const key = currentPassword ? await this.unwrapVaultKey(user.vault, currentPassword, true) : null;
+        if (key) {
+            return { vault: await this.wrapVaultKey(key, newPassword), reset: false };
+        }
+        
+        // Without the old password the existing vault cannot be opened
+        const newKey = await this.generateVaultKey();
+        return { vault: await this.wrapVaultKey(newKey, newPassword), reset: true };
+    },
+    
+    /**
+     * Explain why application data cannot be saved without the owner's vault key.
+     * Delegates never hold it, so they can save changes that leave the encrypted fields alone.
+     * @param {object} changes - Application fields being saved
+     * @param {CryptoKey|null} key - Owner's vault key, if unlocked in this session
+     * @param {boolean} delegated - True when someone other than the owner is saving
+     * @returns {string|null} - Error message, or null if the data can be saved
+     */
+    getVaultLockedError(changes, key, delegated) {
+        if (!this.VAULT_ENABLED || key) {
+            return null;
+        }
+        if (!delegated) {
+            return 'Your secure vault is locked. Please sign in again.';
+        }
+        
+        const encrypted = this.SENSITIVE_APPLICATION_FIELDS.filter(field => field in changes);
+        return encrypted.length > 0
+            ? 'Passport and contact details are encrypted with the applicant\'s own key, so only they can enter them'
+            : null;
+    },
+    
+    /**
+     * Move an application's sensitive fields into an encrypted payload
+     * @param {object} application - Application with plaintext fields
+     * @param {CryptoKey|null} key - Vault key (the application is returned unchanged without one)
+     * @returns {Promise<object>} - Application as it should be stored
+     */
+    async sealApplication(application, key) {
+        if (!this.VAULT_ENABLED || !key) {
+            return application;
+        }
+        
+        const sealed = { ...application };
+        const secret = {};
+        this.SENSITIVE_APPLICATION_FIELDS.forEach(field => {
+            if (field in sealed) {
+                secret[field] = sealed[field];
+                delete sealed[field];
+            }
+        });
+        
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: this.VAULT_ALGORITHM, iv: iv, additionalData: new TextEncoder().encode(application.id) },
+            key,
+            new TextEncoder().encode(JSON.stringify(secret))
+        );
+        
+        sealed.sealed = {
+            algorithm: this.VAULT_ALGORITHM,
+            iv: this.bytesToBase64(iv),
+            ciphertext: this.bytesToBase64(new Uint8Array(ciphertext))
+        };
+        return sealed;
+    },
+    
+    /**
+     * Restore an application's sensitive fields from its encrypted payload
+     * @param {object} application - Application as stored
+     * @param {CryptoKey|null} key - Vault key
+     * @returns {Promise<object>} - Application with plaintext fields, or with `locked: true` if it cannot be opened
+     */
+    async openApplication(application, key) {
+        if (!application.sealed) {
+            return { ...application };
+        }
+        
+        const opened = { ...application };
+        delete opened.sealed;
+        
+        if (!key) {
+            return { ...opened, locked: true };
+        }
+        
+        try {
+            const plaintext = await crypto.subtle.decrypt(
+                {
+                    name: this.VAULT_ALGORITHM,
+                    iv: this.base64ToBytes(application.sealed.iv),
+                    additionalData: new TextEncoder().encode(application.id)
+                },
+                key,
+                this.base64ToBytes(application.sealed.ciphertext)
+            );
+            return { ...opened, ...JSON.parse(new TextDecoder().decode(plaintext)) };
+        } catch (error) {
+            console.error('Error decrypting application:', error);
+            return { ...opened, locked: true };
+        }
+    },
+    
+    /**
+     * Seal any of a user's applications that are still stored in plaintext
+     * @param {string} userId - User ID
+     * @param {CryptoKey} key - Vault key
+     * @returns {Promise<void>}
+     */
+    async sealUserApplications(userId, key) {
+        const plaintext = (await this.readApplications()).filter(app => app.userId === userId && !app.sealed);
+        if (plaintext.length === 0) {
+            return;
+        }
+        
+        const sealedById = {};
+        for (const app of plaintext) {
+            sealedById[app.id] = await this.sealApplication(app, key);
+        }
+        
+        // Replace only applications still in plaintext, in case they changed meanwhile
+        await this.modifyApplications(applications => {
+            applications.forEach((app, index) => {
+                if (sealedById[app.id] && !app.sealed && app.updatedAt === sealedById[app.id].updatedAt) {
+                    applications[index] = sealedById[app.id];
+                }
+            });
+        });
+    },
+    
+    /**
+     * Drop encrypted payloads that can no longer be opened (after the vault key was replaced),
+     * from the user's applications and personal records
+     * @param {object} tx - Transaction replacing the vault (see transaction)
+     * @param {string} userId - User ID
+     * @returns {Promise<void>}
+     */
+    async discardSealedApplicationData(tx, userId) {
+        for (const storeKey of [this.APPLICATIONS_KEY, this.HOUSEHOLD_KEY, this.PASSPORTS_KEY, this.TRIPS_KEY]) {
+            const records = (await tx.get(storeKey) || []).map(record => {
+                if (record.userId !== userId || !record.sealed) {
+                    return record;
+                }
+                const cleared = { ...record, vaultResetAt: new Date().toISOString() };
+                delete cleared.sealed;
+                return cleared;
+            });
+            await tx.set(storeKey, records);
+        }
+    },
+    
+    // ===== Document Management =====
+    
+    /**
+     * Strip the file contents from a stored document record
+     * @param {object} record - Stored document record
+     * @returns {object} - Document metadata
+     */
+    toDocumentMetadata(record) {
+        const metadata = { ...record };
+        delete metadata.blob;
+        return metadata;
+    },
+    
+    /**
+     * Get all documents for a specific user (metadata only, no file contents)
+     * @param {string} userId - User ID
+     * @returns {Promise<Array|object>} - Array of document metadata objects, newest first, or a forbidden result
+     */
+    async getUserDocuments(userId) {
+        const denied = await this.authorize('document:read', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        try {
+            const records = await this.dbRequest(this.DOCUMENTS_STORE, 'readonly',
+                store => store.index('userId').getAll(userId));
+            
+            return records
+                .map(record => this.toDocumentMetadata(record))
+                .sort((a, b) => new Date(b.uploadDate) - new Date(a.uploadDate));
+        } catch (error) {
+            console.error('Error reading documents from IndexedDB:', error);
+            return [];
+        }
+    },
+    
+    /**
+     * Get a specific document including its file contents
+     * @param {string} userId - User ID
+     * @param {string} documentId - Document ID
+     * @returns {Promise<object|null>} - Document record with `blob`, null, or a forbidden result
+     */
+    async getDocument(userId, documentId) {
+        const denied = await this.authorize('document:read', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        return this.readDocument(userId, documentId);
+    },
+    
+    /**
+     * Read a stored document record without an access check (for Storage's own use)
+     * @param {string} userId - User ID
+     * @param {string} documentId - Document ID
+     * @returns {Promise<object|null>} - Document record with `blob`, or null
+     */
+    async readDocument(userId, documentId) {
+        try {
+            const record = await this.dbRequest(this.DOCUMENTS_STORE, 'readonly',
+                store => store.get(documentId));
+            
+            return record && record.userId === userId ? record : null;
+        } catch (error) {
+            console.error('Error reading document from IndexedDB:', error);
+            return null;
+        }
+    },
+    
+    /**
+     * Add a new document
+     * @param {string} userId - User ID
+     * @param {object} documentData - Document data; `file` holds the File or Blob to store
+     * @returns {Promise<object>} - Result object with success status and document metadata
+     */
+    async addDocument(userId, documentData) {
+        const denied = await this.authorize('document:write', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const user = await this.readUser(userId);
+        if (!user) {
+            return { success: false, message: 'User not found' };
+        }
+        
+        const { file, ...metadata } = documentData;
+        if (!(file instanceof Blob)) {
+            return { success: false, message: 'No file provided' };
+        }
+        
+        if (file.size > this.MAX_DOCUMENT_SIZE) {
+            return { success: false, message: 'File is too large. Maximum size is 10MB.' };
+        }
+        
+        const now = new Date().toISOString();
+        const record = {
+            name: file.name || 'Untitled document',
+            type: file.type || 'application/octet-stream',
+            category: 'other',
+            uploadDate: now,
+            ...metadata,
+            id: this.generateId('doc_'),
+            userId: userId,
+            uploadedBy: (await this.getActor(userId)).actorId,
+            size: file.size,
+            updatedAt: now,
+            blob: file
+        };
+        
+        try {
+            await this.dbRequest(this.DOCUMENTS_STORE, 'readwrite', store => store.add(record));
+        } catch (error) {
+            console.error('Error writing document to IndexedDB:', error);
+            const quotaExceeded = error && error.name === 'QuotaExceededError';
+            return {
+                success: false,
+                message: quotaExceeded ? 'Not enough storage space to save this document' : 'Could not save document'
+            };
+        }
+        
+        this.emit('documents:changed', { userId: userId, documentId: record.id });
+        return { success: true, document: this.toDocumentMetadata(record) };
+    },
+    
+    /**
+     * Rename a document
+     * @param {string} userId - User ID
+     * @param {string} documentId - Document ID
+     * @param {string} newName - New display name
+     * @returns {Promise<object>} - Result object with success status and document metadata
+     */
+    async renameDocument(userId, documentId, newName) {
+        const denied = await this.authorize('document:write', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const name = (newName || '').trim();
+        if (!name) {
+            return { success: false, message: 'Please enter a document name' };
+        }
+        
+        const record = await this.readDocument(userId, documentId);
+        if (!record) {
+            return { success: false, message: 'Document not found' };
+        }
+        
+        record.name = name;
+        record.updatedAt = new Date().toISOString();
+        
+        try {
+            await this.dbRequest(this.DOCUMENTS_STORE, 'readwrite', store => store.put(record));
+        } catch (error) {
+            console.error('Error writing document to IndexedDB:', error);
+            return { success: false, message: 'Could not rename document' };
+        }
+        
+        this.emit('documents:changed', { userId: userId, documentId: documentId });
+        return { success: true, document: this.toDocumentMetadata(record) };
+    },
+    
+    /**
+     * Delete a document
+     * @param {string} userId - User ID
+     * @param {string} documentId - Document ID
+     * @returns {Promise<object>} - Result object
+     */
+    async deleteDocument(userId, documentId) {
+        const denied = await this.authorize('document:write', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const record = await this.readDocument(userId, documentId);
+        if (!record) {
+            return { success: false, message: 'Document not found' };
+        }
+        
+        try {
+            await this.dbRequest(this.DOCUMENTS_STORE, 'readwrite', store => store.delete(documentId));
+        } catch (error) {
+            console.error('Error deleting document from IndexedDB:', error);
+            return { success: false, message: 'Could not delete document' };
+        }
+        
+        await this.unlinkChecklistDocument(userId, documentId);
+        this.emit('documents:changed', { userId: userId, documentId: documentId });
+        return { success: true, message: 'Document deleted successfully' };
+    },
+    
+    /**
+     * Remove every stored document file
+     * @returns {Promise<void>}
+     */
+    async clearDocuments() {
+        try {
+            await this.dbRequest(this.DOCUMENTS_STORE, 'readwrite', store => store.clear());
+        } catch (error) {
+            console.error('Error clearing IndexedDB documents:', error);
+        }
+        
+        this.emit('documents:changed', {});
+    },
+    
+    // ===== Chat History =====
+    
+    /**
+     * Get a user's chatbot conversation
+     * @param {string} userId - User ID
+     * @returns {Promise<Array|object>} - Array of { role, content, timestamp } messages, or a forbidden result
+     */
+    async getChatHistory(userId) {
+        const denied = await this.authorize('chat:read', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const chatHistory = await this.get(this.CHAT_HISTORY_KEY) || {};
+        return chatHistory[userId] || [];
+    },
+    
+    /**
+     * Append a message to a user's chatbot conversation
+     * @param {string} userId - User ID
+     * @param {object} message - Message ({ role: 'user' | 'bot', content })
+     * @returns {Promise<object|void>} - A forbidden result, or nothing once saved
+     */
+    async addChatMessage(userId, message) {
+        const denied = await this.authorize('chat:write', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        await this.transaction(async tx => {
+            const chatHistory = await tx.get(this.CHAT_HISTORY_KEY) || {};
+            chatHistory[userId] = chatHistory[userId] || [];
+            chatHistory[userId].push({ role: message.role, content: message.content, timestamp: new Date().toISOString() });
+            await tx.set(this.CHAT_HISTORY_KEY, chatHistory);
+        });
+        this.emit('chat:changed', { userId: userId });
+    },
+    
+    /**
+     * Delete a user's chatbot conversation
+     * @param {string} userId - User ID
+     * @returns {Promise<object|void>} - A forbidden result, or nothing once saved
+     */
+    async clearChatHistory(userId) {
+        const denied = await this.authorize('chat:write', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        await this.transaction(async tx => {
+            const chatHistory = await tx.get(this.CHAT_HISTORY_KEY) || {};
+            chatHistory[userId] = [];
+            await tx.set(this.CHAT_HISTORY_KEY, chatHistory);
+        });
+        this.emit('chat:changed', { userId: userId });
+    },
+    
+    // ===== Change Events =====
+    
+    /**
+     * Subscribe to a change event. Handlers run for changes made in this tab and in other tabs.
+     * Event types: applications:changed, documents:changed, chat:changed, session:started, session:ended
+     * @param {string} type - Event type, or '*' for every event
+     * @param {Function} handler - Called with (detail, event); event.remote is true for changes made in another tab
+     * @returns {Function} - Call to unsubscribe
+     */
+    on(type, handler) {
+        this.listenForRemoteEvents();
+        
+        this._eventListeners = this._eventListeners || {};
+        this._eventListeners[type] = this._eventListeners[type] || [];
+        this._eventListeners[type].push(handler);
+        
+        return () => this.off(type, handler);
+    },
+    
+    /**
+     * Unsubscribe from a change event
+     * @param {string} type - Event type
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(type, handler) {
+        if (this._eventListeners && this._eventListeners[type]) {
+            this._eventListeners[type] = this._eventListeners[type].filter(h => h !== handler);
+        }
+    },
+    
+    /**
+     * Notify listeners in this tab and every other open tab of a change
+     * @param {string} type - Event type
+     * @param {object} detail - Event details (IDs only; never sensitive data)
+     */
+    emit(type, detail = {}) {
+        const event = {
+            id: this.generateId('evt_'),
+            type: type,
+            detail: detail,
+            emittedAt: new Date().toISOString()
+        };
+        
+        this.dispatchChangeEvent(event);
+        
+        try {
+            const channel = this.getEventChannel();
+            if (channel) {
+                channel.postMessage(event);
+            } else {
+                // Writing the key fires a 'storage' event in the other tabs
+                localStorage.setItem(this.EVENT_KEY, JSON.stringify(event));
+            }
+        } catch (error) {
+            console.error('Error broadcasting storage event:', error);
+        }
+    },
+    
+    /**
+     * Call the listeners registered in this tab for an event
+     * @param {object} event - Event ({ id, type, detail, emittedAt })
+     * @param {boolean} remote - Whether the event came from another tab
+     */
+    dispatchChangeEvent(event, remote = false) {
+        const listeners = this._eventListeners || {};
+        const handlers = [...(listeners[event.type] || []), ...(listeners['*'] || [])];
+        const dispatched = { ...event, remote: remote };
         
-        if (status === 'approved') {
-            applications[appIndex].approvedAt = new Date().toISOString();
+        handlers.forEach(handler => {
+            try {
+                handler(dispatched.detail, dispatched);
+            } catch (error) {
+                console.error(`Error in ${event.type} listener:`, error);
+            }
+        });
+    },
+    
+    /**
+     * Get the BroadcastChannel used for cross-tab events
+     * @returns {BroadcastChannel|null} - Channel, or null where BroadcastChannel is unsupported
+     */
+    getEventChannel() {
+        if (this._eventChannel === undefined) {
+            this._eventChannel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(this.EVENT_CHANNEL) : null;
         }
+        return this._eventChannel;
+    },
+    
+    /**
+     * Start receiving events emitted by other tabs (once per page)
+     */
+    listenForRemoteEvents() {
+        if (this._listeningForRemoteEvents) return;
+        this._listeningForRemoteEvents = true;
         
-        this.set(this.APPLICATIONS_KEY, applications);
+        const channel = this.getEventChannel();
+        if (channel) {
+            channel.addEventListener('message', message => this.dispatchChangeEvent(message.data, true));
+        }
         
-        return { success: true, application: applications[appIndex] };
+        window.addEventListener('storage', event => {
+            if (event.key === this.EVENT_KEY && event.newValue) {
+                this.dispatchChangeEvent(JSON.parse(event.newValue), true);
+            }
+        });
     },
     
     // ===== Statistics =====
@@ -443,18 +3789,24 @@ const Storage = {
     /**
      * Get application statistics for a user
      * @param {string} userId - User ID
-     * @returns {object} - Statistics object
+     * @returns {Promise<object>} - Statistics object: total, inProgress and a count for every status, or a forbidden result
      */
-    getUserApplicationStats(userId) {
-        const applications = this.getUserApplications(userId);
+    async getUserApplicationStats(userId) {
+        const denied = await this.authorize('application:read', { userId: userId });
+        if (denied) {
+            return denied;
+        }
         
-        return {
+        const applications = (await this.readApplications()).filter(app => app.userId === userId);
+        
+        const stats = {
             total: applications.length,
-            pending: applications.filter(a => a.status === 'pending').length,
-            approved: applications.filter(a => a.status === 'approved').length,
-            rejected: applications.filter(a => a.status === 'rejected').length,
-            draft: applications.filter(a => a.status === 'draft').length
+            inProgress: applications.filter(a => ApplicationStatus.isInProgress(a.status)).length
         };
+        ApplicationStatus.list().forEach(status => {
+            stats[status.value] = applications.filter(a => a.status === status.value).length;
+        });
+        return stats;
     },
     
     // ===== Utility Functions =====
@@ -470,63 +3822,321 @@ const Storage = {
         return `${prefix}${timestamp}${randomStr}`;
     },
     
+    /**
+     * Generate an unguessable random token (for session IDs and similar secrets)
+     * @param {number} byteLength - Number of random bytes
+     * @returns {string} - Hex-encoded token
+     */
+    generateToken(byteLength = 32) {
+        const bytes = crypto.getRandomValues(new Uint8Array(byteLength));
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+    
+    /**
+     * Split CSV text into rows of cells (quoted cells may contain commas, quotes and line breaks)
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} - Rows of cell values
+     */
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        const input = String(text || '').replace(/^\uFEFF/, '');
+        
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell.trim());
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(cell.trim());
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell || row.length > 0) {
+            row.push(cell.trim());
+            rows.push(row);
+        }
+        return rows;
+    },
+    
+    /**
+     * Hash a string with SHA-256
+     * @param {string} text - Text to hash
+     * @returns {Promise<string>} - Hex-encoded digest
+     */
+    async sha256Hex(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+    
+    /**
+     * Encode bytes as a base64 string
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} - Base64 string
+     */
+    bytesToBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    },
+    
+    /**
+     * Decode a base64 string to bytes
+     * @param {string} base64 - Base64 string
+     * @returns {Uint8Array} - Decoded bytes
+     */
+    base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    },
+    
     /**
      * Export user data (for backup/portability)
+     * Encrypted backups keep sensitive fields sealed and carry the password-wrapped vault key;
+     * pass { encrypted: false } for a plaintext backup (requires an unlocked vault).
      * @param {string} userId - User ID
-     * @returns {object|null} - Export data object
+     * @param {object} options - Export options ({ encrypted: boolean })
+     * @returns {Promise<object|null>} - Export data object, or a forbidden result
      */
-    exportUserData(userId) {
-        const user = this.findUserById(userId);
-        const applications = this.getUserApplications(userId);
+    async exportUserData(userId, options = {}) {
+        const denied = await this.authorize('data:export', { userId: userId });
+        if (denied) {
+            return denied;
+        }
+        
+        const user = await this.readUser(userId);
         
         if (!user) {
             return null;
         }
         
+        const encrypted = this.VAULT_ENABLED && Boolean(user.vault) && options.encrypted !== false;
+        const applications = encrypted
+            ? (await this.readApplications()).filter(app => app.userId === userId)
+            : await this.getUserApplications(userId);
+        const household = encrypted
+            ? (await this.get(this.HOUSEHOLD_KEY) || []).filter(person => person.userId === userId)
+            : await this.getHousehold(userId);
+        const passports = encrypted
+            ? (await this.get(this.PASSPORTS_KEY) || []).filter(passport => passport.userId === userId)
+            : await this.getPassports(userId);
+        const trips = encrypted
+            ? (await this.get(this.TRIPS_KEY) || []).filter(trip => trip.userId === userId)
+            : await this.getTrips(userId);
+        
+        const exportUser = {
+            id: user.id,
+            name: user.name,
+            email: user.email,
+            createdAt: user.createdAt,
+            profile: user.profile
+        };
+        if (encrypted) {
+            exportUser.vault = user.vault;
+        }
+        
         return {
             exportDate: new Date().toISOString(),
-            user: {
-                id: user.id,
-                name: user.name,
-                email: user.email,
-                createdAt: user.createdAt,
-                profile: user.profile
-            },
-            applications: applications
+            encrypted: encrypted,
+            encryption: encrypted ? {
+                algorithm: this.VAULT_ALGORITHM,
+                fields: this.SENSITIVE_APPLICATION_FIELDS
+            } : null,
+            user: exportUser,
+            applications: applications,
+            household: household,
+            passports: passports,
+            trips: trips
         };
     },
     
     /**
-     * Import user data (for restoration)
+     * Restore a backup (see exportUserData) into an account. Its applications and personal
+     * records are added to the account as new records, whoever they belonged to in the backup,
+     * skipping any the account already holds. Only details an applicant could have entered are
+     * restored: applications come back as drafts with a fresh history, so statuses, reviewer
+     * notes and appointments cannot be carried in from a backup file. Sealed records in an
+     * encrypted backup open with the vault key of the account that made it, so encrypted
+     * backups only restore into that account.
+     * @param {string} userId - User ID of the account to restore into
      * @param {object} data - Import data object
-     * @returns {object} - Result object
+     * @returns {Promise<object>} - Result object, or a forbidden result
      */
-    importUserData(data) {
-        if (!data.user || !data.user.email) {
-            return { success: false, message: 'Invalid data format' };
+    async importUserData(userId, data) {
+        const denied = await this.authorize('user:update', { userId: userId });
+        if (denied) {
+            return denied;
         }
         
-        // Check if user already exists
-        const existingUser = this.findUserByEmail(data.user.email);
-        if (existingUser) {
-            return { success: false, message: 'User already exists. Please login to import data.' };
+        if (!data || !data.user) {
+            return { success: false, message: 'Invalid data format' };
+        }
+        if (data.encrypted && data.user.id !== userId) {
+            return { success: false, message: 'An encrypted backup can only be restored into the account that made it' };
         }
         
-        // Save user
-        const users = this.getUsers();
-        users.push(data.user);
-        this.saveUsers(users);
+        // Restored records are sealed again under their new IDs
+        const key = await this.getVaultKey(userId);
+        const lockedError = this.getVaultLockedError({}, key, false);
+        if (lockedError) {
+            return { success: false, message: lockedError };
+        }
+        const actor = await this.getActor(userId);
         
-        // Save applications
-        if (data.applications && Array.isArray(data.applications)) {
-            const applications = this.getApplications();
-            applications.push(...data.applications);
-            this.set(this.APPLICATIONS_KEY, applications);
+        // Save the profile, applications and personal records together
+        const result = await this.transaction(async tx => {
+            const users = await tx.get(this.USERS_KEY) || [];
+            const user = users.find(u => u.id === userId);
+            if (!user) {
+                return { success: false, message: 'User not found' };
+            }
+            
+            // Only the profile is restored; credentials, role and vault stay the account's own
+            user.profile = {
+                ...user.profile,
+                ...(data.user.profile || {}),
+                email: user.email
+            };
+            await tx.set(this.USERS_KEY, users);
+            
+            const now = new Date().toISOString();
+            const restored = { id: null, userId: userId, createdAt: now, updatedAt: now };
+            
+            // Open the backup's records the account does not hold yet, either itself or as a restored copy
+            const openNew = async (records, stored) => {
+                const known = new Set(stored.filter(record => record.userId === userId).flatMap(record => [record.id, record.restoredFrom]));
+                const opened = [];
+                for (const record of Array.isArray(records) ? records : []) {
+                    if (record && record.id && !known.has(record.id)) {
+                        const open = await this.openApplication(record, key);
+                        if (!open.locked) {
+                            opened.push(open);
+                        }
+                    }
+                }
+                return opened;
+            };
+            
+            // Household members, keeping track of their new IDs for the applications made for them
+            const household = await tx.get(this.HOUSEHOLD_KEY) || [];
+            const personIds = {};
+            household.filter(person => person.userId === userId).forEach(person => {
+                personIds[person.id] = person.id;
+                if (person.restoredFrom) {
+                    personIds[person.restoredFrom] = person.id;
+                }
+            });
+            const people = [];
+            for (const person of await openNew(data.household, household)) {
+                const copy = { ...this.pickFields(person, this.PERSON_FIELDS), ...restored, id: this.generateId('per_'), restoredFrom: person.id };
+                if (!this.validatePerson(copy)) {
+                    personIds[person.id] = copy.id;
+                    people.push(await this.sealApplication(copy, key));
+                }
+            }
+            
+            // Passports; the backup's primary passport stays primary if the account has none
+            const passports = await tx.get(this.PASSPORTS_KEY) || [];
+            let hasPrimary = passports.some(passport => passport.userId === userId && passport.primary);
+            const newPassports = [];
+            for (const passport of await openNew(data.passports, passports)) {
+                const copy = { ...this.pickFields(passport, this.PASSPORT_FIELDS), ...restored, id: this.generateId('pass_'), restoredFrom: passport.id };
+                copy.primary = !hasPrimary && passport.primary === true;
+                hasPrimary = hasPrimary || copy.primary;
+                if (!this.validatePassport(copy)) {
+                    newPassports.push(await this.sealApplication(copy, key));
+                }
+            }
+            
+            // Trips, leaving out any that overlap the travel log
+            const trips = await tx.get(this.TRIPS_KEY) || [];
+            const userTrips = trips.filter(trip => trip.userId === userId);
+            const newTrips = [];
+            for (const trip of await openNew(data.trips, trips)) {
+                const copy = { ...this.pickFields(trip, this.TRIP_FIELDS), ...restored, id: this.generateId('trip_'), restoredFrom: trip.id };
+                if (!this.validateTrip(copy, [...userTrips, ...newTrips])) {
+                    newTrips.push(await this.sealApplication(copy, key));
+                }
+            }
+            
+            // Applications come back as drafts, without read-only fields (status, history, reviewer notes)
+            const applications = await tx.get(this.APPLICATIONS_KEY) || [];
+            const familyIds = {};
+            const newApplications = [];
+            for (const application of await openNew(data.applications, applications)) {
+                const changes = { ...application };
+                this.READONLY_APPLICATION_FIELDS.forEach(field => {
+                    delete changes[field];
+                });
+                const copy = {
+                    ...changes,
+                    ...restored,
+                    id: this.generateId('app_'),
+                    status: 'draft',
+                    submittedAt: null,
+                    restoredFrom: application.id,
+                    history: [
+                        this.createHistoryEvent('status', { ...actor, from: null, to: 'draft', note: 'Restored from a backup' })
+                    ]
+                };
+                if (changes.personId) {
+                    copy.personId = personIds[changes.personId] || null;
+                }
+                if (changes.familyId) {
+                    familyIds[changes.familyId] = familyIds[changes.familyId] || this.generateId('fam_');
+                    copy.familyId = familyIds[changes.familyId];
+                }
+                newApplications.push(await this.sealApplication(copy, key));
+            }
+            
+            await tx.set(this.HOUSEHOLD_KEY, [...household, ...people]);
+            await tx.set(this.PASSPORTS_KEY, [...passports, ...newPassports]);
+            await tx.set(this.TRIPS_KEY, [...trips, ...newTrips]);
+            await tx.set(this.APPLICATIONS_KEY, [...applications, ...newApplications]);
+            
+            return { success: true, imported: people.length + newPassports.length + newTrips.length + newApplications.length };
+        });
+        if (!result.success) {
+            return result;
         }
         
-        return { success: true, message: 'Data imported successfully' };
+        this.emit('profile:changed', { userId: userId });
+        this.emit('applications:changed', { userId: userId });
+        this.emit('household:changed', { userId: userId });
+        this.emit('trips:changed', { userId: userId });
+        
+        return { success: true, message: `Data imported successfully (${result.imported} record${result.imported === 1 ? '' : 's'} restored)` };
     }
 };
 
+// Use the backend chosen in js/config.js (localStorage by default)
+Storage.useBackend(StorageBackends.create((window.AppConfig && window.AppConfig.storage) || {}));
+
 // Make Storage available globally
 window.Storage = Storage;
@@ -0,0 +1,392 @@
+/**
+ * Visa Guide AIA - Visa Requirement Rules
+ * Declarative requirements for each destination and visa type. The application
+ * wizard (forms.html) renders the extra fields and enforces the checks defined here.
+ *
+ * Rules are merged from least to most specific:
+ *   defaults -> visaTypes[type] -> groups[...]['*' | type] -> destinations[country]['*' | type]
+ * Scalar settings are overridden; `fields` are combined by name (a later field with
+ * the same name replaces an earlier one).
+ *
+ * Rule settings:
+ *   passportValidityMonths - Passport must be valid this many months beyond the return date
+ *   maxStayDays            - Longest allowed stay (return date minus departure date)
+ *   trip                   - false when the application is not for a trip (no travel dates are asked)
+ *   fields                 - Extra fields: { name, step, label, type, required, placeholder?, options?, help? }
+ *   documents              - Checklist items: { id, label, category, required } (combined by id)
+ *   notes                  - Extra guidance shown with the requirements summary
+ *
+ * nationalityRules add checklist items for applicants of particular nationalities.
+ *
+ * These are general guidance only; applicants should confirm with the embassy.
+ */
+
+const VisaRules = {
+    defaults: {
+        passportValidityMonths: 6,
+        maxStayDays: 90,
+        fields: [],
+        documents: [
+            { id: 'passportScan', label: 'Passport bio-data page scan', category: 'identity', required: true },
+            { id: 'photos', label: 'Passport-style photographs', category: 'identity', required: true },
+            { id: 'bankStatement', label: 'Bank statements (last 3 months)', category: 'financial', required: true },
+            { id: 'travelItinerary', label: 'Flight reservation or travel itinerary', category: 'other', required: true },
+            { id: 'accommodationProof', label: 'Proof of accommodation', category: 'other', required: false }
+        ],
+        notes: []
+    },
+    
+    visaTypes: {
+        Tourist: {
+            maxStayDays: 90
+        },
+        Business: {
+            maxStayDays: 90,
+            fields: [
+                { name: 'invitingCompany', step: 1, label: 'Inviting Company', type: 'text', required: true, placeholder: 'Name of the company you are visiting' },
+                { name: 'invitationLetterRef', step: 1, label: 'Invitation Letter Reference', type: 'text', required: true, placeholder: 'Reference number or date of the invitation letter' }
+            ],
+            documents: [
+                { id: 'invitationLetter', label: 'Business invitation letter', category: 'immigration', required: true }
+            ]
+        },
+        Student: {
+            maxStayDays: 1460,
+            fields: [
+                { name: 'institutionName', step: 1, label: 'School or University', type: 'text', required: true, placeholder: 'Name of the institution' },
+                { name: 'admissionLetterRef', step: 1, label: 'Admission Letter Reference', type: 'text', required: true, placeholder: 'Reference number on your letter of admission' },
+                { name: 'courseStartDate', step: 4, label: 'Course Start Date', type: 'date', required: true }
+            ],
+            documents: [
+                { id: 'admissionLetter', label: 'Letter of admission', category: 'immigration', required: true },
+                { id: 'proofOfFunds', label: 'Proof of funds for tuition and living costs', category: 'financial', required: true },
+                { id: 'academicRecords', label: 'Academic transcripts and certificates', category: 'other', required: false }
+            ]
+        },
+        Work: {
+            maxStayDays: 1825,
+            fields: [
+                { name: 'employerSponsor', step: 1, label: 'Employer / Sponsor', type: 'text', required: true, placeholder: 'Name of your sponsoring employer' },
+                { name: 'jobTitle', step: 1, label: 'Job Title', type: 'text', required: true, placeholder: 'Position you have been offered' }
+            ],
+            documents: [
+                { id: 'employmentContract', label: 'Signed job offer or employment contract', category: 'immigration', required: true },
+                { id: 'qualifications', label: 'Degree and professional qualifications', category: 'other', required: false }
+            ]
+        },
+        Transit: {
+            maxStayDays: 3,
+            fields: [
+                { name: 'onwardDestination', step: 4, label: 'Onward Destination', type: 'text', required: true, placeholder: 'Country you are travelling on to' },
+                { name: 'onwardTicketRef', step: 4, label: 'Onward Ticket / Flight Number', type: 'text', required: true, placeholder: 'e.g. SQ 322' }
+            ],
+            documents: [
+                { id: 'onwardTicket', label: 'Confirmed onward ticket', category: 'other', required: true },
+                { id: 'onwardVisa', label: 'Visa for the onward destination (if needed)', category: 'immigration', required: false },
+                { id: 'accommodationProof', label: 'Proof of accommodation', category: 'other', required: false }
+            ]
+        },
+        Family: {
+            maxStayDays: 180,
+            fields: [
+                { name: 'familyMemberName', step: 2, label: 'Family Member You Are Visiting', type: 'text', required: true, placeholder: 'Full name' },
+                {
+                    name: 'familyRelationship', step: 2, label: 'Relationship', type: 'select', required: true,
+                    options: ['Spouse / Partner', 'Parent', 'Child', 'Sibling', 'Other relative']
+                },
+                { name: 'invitationLetterRef', step: 2, label: 'Invitation Letter Reference', type: 'text', required: false, placeholder: 'If your family member sent one' }
+            ],
+            documents: [
+                { id: 'relationshipProof', label: 'Proof of relationship (birth or marriage certificate)', category: 'identity', required: true },
+                { id: 'invitationLetter', label: 'Invitation letter from your family member', category: 'immigration', required: false },
+                { id: 'sponsorStatus', label: "Family member's passport or residence permit", category: 'immigration', required: true }
+            ]
+        },
+        Medical: {
+            maxStayDays: 180,
+            fields: [
+                { name: 'hospitalName', step: 1, label: 'Hospital or Clinic', type: 'text', required: true, placeholder: 'Where you will be treated' },
+                { name: 'hospitalLetterRef', step: 1, label: 'Hospital Invitation Letter Reference', type: 'text', required: true, placeholder: 'Reference number on the hospital letter' },
+                { name: 'treatmentStartDate', step: 4, label: 'Treatment Start Date', type: 'date', required: true }
+            ],
+            documents: [
+                { id: 'hospitalLetter', label: 'Invitation letter from the hospital', category: 'immigration', required: true },
+                { id: 'medicalRecords', label: 'Medical reports from your doctor', category: 'other', required: true }
+            ]
+        }
+    },
+    
+    groups: {
+        schengen: {
+            countries: ['Germany', 'France', 'Italy', 'Spain', 'Netherlands', 'Sweden', 'Norway', 'Denmark', 'Switzerland'],
+            rules: {
+                '*': {
+                    passportValidityMonths: 3,
+                    documents: [
+                        { id: 'travelInsurance', label: 'Travel medical insurance certificate', category: 'financial', required: true }
+                    ]
+                },
+                Tourist: {
+                    notes: ['Schengen short stays are limited to 90 days in any 180-day period.'],
+                    fields: [
+                        { name: 'travelInsurancePolicy', step: 4, label: 'Travel Medical Insurance Policy Number', type: 'text', required: true, placeholder: 'Cover of at least EUR 30,000' }
+                    ]
+                },
+                Business: {
+                    notes: ['Schengen short stays are limited to 90 days in any 180-day period.'],
+                    fields: [
+                        { name: 'travelInsurancePolicy', step: 4, label: 'Travel Medical Insurance Policy Number', type: 'text', required: true, placeholder: 'Cover of at least EUR 30,000' }
+                    ]
+                },
+                Family: {
+                    maxStayDays: 90,
+                    fields: [
+                        { name: 'travelInsurancePolicy', step: 4, label: 'Travel Medical Insurance Policy Number', type: 'text', required: true, placeholder: 'Cover of at least EUR 30,000' }
+                    ]
+                },
+                Medical: {
+                    maxStayDays: 90
+                },
+                Transit: {
+                    maxStayDays: 1,
+                    notes: ['Airport transit visas only cover the international transit area.']
+                }
+            }
+        }
+    },
+    
+    destinations: {
+        'United States': {
+            '*': {
+                notes: ['Most applicants must attend an interview at a U.S. embassy or consulate.']
+            },
+            Tourist: {
+                maxStayDays: 180
+            },
+            Student: {
+                fields: [
+                    { name: 'sevisId', step: 1, label: 'SEVIS ID (from Form I-20)', type: 'text', required: true, placeholder: 'N0012345678' }
+                ],
+                documents: [
+                    { id: 'admissionLetter', label: 'Form I-20 from your school', category: 'immigration', required: true },
+                    { id: 'sevisFeeReceipt', label: 'SEVIS I-901 fee receipt', category: 'financial', required: true }
+                ]
+            },
+            // U.S. citizenship, applied for on Form N-400 (see Storage.APPLICATION_FORMS)
+            Naturalization: {
+                trip: false,
+                fields: [
+                    { name: 'permanentResidentSince', step: 1, label: 'Permanent Resident Since', type: 'date', required: true, help: 'The "Resident since" date on your green card' }
+                ],
+                documents: [
+                    { id: 'greenCard', label: 'Permanent resident card (front and back)', category: 'immigration', required: true },
+                    { id: 'bankStatement', label: 'Tax returns or IRS tax transcripts (last 5 years)', category: 'financial', required: false },
+                    { id: 'travelItinerary', label: 'Record of trips outside the U.S. in the last 5 years', category: 'other', required: false },
+                    { id: 'accommodationProof', label: 'Proof you live in your state or USCIS district', category: 'other', required: true }
+                ],
+                notes: ['Check when you can file on the Citizenship Eligibility page.']
+            }
+        },
+        'United Kingdom': {
+            Tourist: {
+                maxStayDays: 180
+            },
+            Business: {
+                maxStayDays: 180
+            },
+            Student: {
+                fields: [
+                    { name: 'casNumber', step: 1, label: 'Confirmation of Acceptance for Studies (CAS) Number', type: 'text', required: true }
+                ]
+            },
+            Work: {
+                fields: [
+                    { name: 'sponsorshipCertificate', step: 1, label: 'Certificate of Sponsorship Reference', type: 'text', required: true }
+                ]
+            }
+        },
+        Canada: {
+            Tourist: {
+                maxStayDays: 180
+            },
+            Student: {
+                fields: [
+                    { name: 'dliNumber', step: 1, label: 'Designated Learning Institution (DLI) Number', type: 'text', required: true }
+                ]
+            }
+        },
+        Australia: {
+            Student: {
+                fields: [
+                    { name: 'coeNumber', step: 1, label: 'Confirmation of Enrolment (CoE) Number', type: 'text', required: true }
+                ]
+            }
+        },
+        Germany: {
+            Student: {
+                fields: [
+                    { name: 'blockedAccountRef', step: 3, label: 'Blocked Account (Sperrkonto) Confirmation', type: 'text', required: true, help: 'Proof of funds for your first year of study' }
+                ],
+                documents: [
+                    { id: 'proofOfFunds', label: 'Blocked account (Sperrkonto) confirmation', category: 'financial', required: true }
+                ]
+            }
+        },
+        Singapore: {
+            Transit: {
+                maxStayDays: 4
+            }
+        },
+        Thailand: {
+            Tourist: {
+                maxStayDays: 60
+            }
+        }
+    },
+    
+    nationalityRules: [
+        {
+            // Travellers from yellow fever risk countries
+            nationalities: ['Nigeria', 'Brazil', 'Colombia'],
+            destinations: ['India', 'Thailand', 'Malaysia', 'Singapore', 'Australia', 'China'],
+            documents: [
+                { id: 'yellowFeverCertificate', label: 'Yellow fever vaccination certificate', category: 'other', required: true }
+            ]
+        },
+        {
+            // Long stays usually need a police certificate from the applicant's home country
+            visaTypes: ['Student', 'Work'],
+            documents: [
+                { id: 'policeCertificate', label: 'Police clearance certificate', category: 'identity', required: false }
+            ]
+        }
+    ],
+    
+    /**
+     * Get the merged rules for a destination and visa type
+     * @param {string} destination - Destination country
+     * @param {string} visaType - Visa type
+     * @returns {object} - Rules ({ passportValidityMonths, maxStayDays, fields, notes })
+     */
+    getRules(destination, visaType) {
+        const layers = [this.defaults, this.visaTypes[visaType]];
+        
+        Object.values(this.groups).forEach(group => {
+            if (group.countries.includes(destination)) {
+                layers.push(group.rules['*'], group.rules[visaType]);
+            }
+        });
+        
+        const destinationRules = this.destinations[destination] || {};
+        layers.push(destinationRules['*'], destinationRules[visaType]);
+        
+        return layers.filter(Boolean).reduce((merged, layer) => this.mergeRules(merged, layer), { fields: [], documents: [], notes: [] });
+    },
+    
+    /**
+     * Merge a more specific rule layer over a less specific one
+     * @param {object} base - Rules merged so far
+     * @param {object} layer - More specific rules
+     * @returns {object} - Merged rules
+     */
+    mergeRules(base, layer) {
+        const fields = base.fields.filter(field => !(layer.fields || []).some(f => f.name === field.name));
+        const documents = base.documents.filter(doc => !(layer.documents || []).some(d => d.id === doc.id));
+        
+        return {
+            ...base,
+            ...layer,
+            fields: [...fields, ...(layer.fields || [])],
+            documents: [...documents, ...(layer.documents || [])],
+            notes: [...base.notes, ...(layer.notes || [])]
+        };
+    },
+    
+    /**
+     * Build the document checklist for an application. Items already linked to a
+     * document in an existing checklist keep their link.
+     * @param {object} application - Application data (destination, visaType, nationality)
+     * @param {Array} existingChecklist - Current checklist, if the application has one
+     * @returns {Array} - Array of { id, label, category, required, documentId }
+     */
+    getChecklist(application, existingChecklist = []) {
+        let { documents } = this.getRules(application.destination, application.visaType);
+        
+        this.nationalityRules
+            .filter(rule => !rule.nationalities || rule.nationalities.includes(application.nationality))
+            .filter(rule => !rule.destinations || rule.destinations.includes(application.destination))
+            .filter(rule => !rule.visaTypes || rule.visaTypes.includes(application.visaType))
+            .forEach(rule => {
+                documents = this.mergeRules({ fields: [], documents: documents, notes: [] }, rule).documents;
+            });
+        
+        return documents.map(doc => {
+            const existing = existingChecklist.find(item => item.id === doc.id);
+            return {
+                id: doc.id,
+                label: doc.label,
+                category: doc.category,
+                required: doc.required,
+                documentId: existing ? existing.documentId : null
+            };
+        });
+    },
+    
+    /**
+     * Check the rule-based requirements that can be checked once a step is complete
+     * @param {number} step - Wizard step (1-4)
+     * @param {object} data - Application data collected so far
+     * @returns {Array} - Array of { field, message } errors (empty when valid)
+     */
+    validateStep(step, data) {
+        const rules = this.getRules(data.destination, data.visaType);
+        const errors = [];
+        
+        rules.fields
+            .filter(field => field.step === step && field.required && !String(data[field.name] || '').trim())
+            .forEach(field => errors.push({ field: field.name, message: `${field.label} is required for this visa` }));
+        
+        // Travel dates are entered on the last step, so date rules are checked there
+        if (step === 4 && data.departureDate && data.returnDate) {
+            const departure = new Date(data.departureDate);
+            const returnDate = new Date(data.returnDate);
+            const stayDays = Math.round((returnDate - departure) / (24 * 60 * 60 * 1000));
+            
+            if (stayDays < 0) {
+                errors.push({ field: 'returnDate', message: 'Return date must be after the departure date' });
+            } else if (stayDays > rules.maxStayDays) {
+                errors.push({
+                    field: 'returnDate',
+                    message: `This visa allows a stay of up to ${rules.maxStayDays} days; your trip is ${stayDays} days`
+                });
+            }
+            
+            if (data.passportExpiry) {
+                const requiredUntil = new Date(returnDate);
+                requiredUntil.setMonth(requiredUntil.getMonth() + rules.passportValidityMonths);
+                
+                if (new Date(data.passportExpiry) < requiredUntil) {
+                    errors.push({
+                        field: 'passportExpiry',
+                        message: `Your passport must be valid until at least ${requiredUntil.toLocaleDateString()} ` +
+                            `(${rules.passportValidityMonths} months after your return date)`
+                    });
+                }
+            }
+        }
+        
+        return errors;
+    },
+    
+    /**
+     * Check every rule-based requirement
+     * @param {object} data - Complete application data
+     * @returns {Array} - Array of { field, message } errors (empty when valid)
+     */
+    validate(data) {
+        return [1, 2, 3, 4].flatMap(step => this.validateStep(step, data));
+    }
+};
+
+// Make VisaRules available globally
+window.VisaRules = VisaRules;
@@ -0,0 +1,296 @@
+/**
+ * Visa Guide AIA - REST Storage Server
+ * Minimal key/value server for the 'http' storage backend (see js/storage-backends.js).
+ * No dependencies: run with `node server/rest-server.js`.
+ *
+ * For demos only. The server has no user accounts of its own: anyone with the API token
+ * can read and change every key, so it must not hold real applicants' data. Without
+ * API_TOKEN it refuses the keys holding credentials (password hashes, session and reset
+ * tokens), so accounts cannot be kept on it. Give the token to the app through the
+ * backend's `headers` option in js/config.js.
+ *
+ * Routes:
+ *   GET    /kv/:key          -> { key, value } or 404
+ *   PUT    /kv/:key          <- { value }
+ *   DELETE /kv/:key
+ *   GET    /kv?prefix=...    -> { keys }
+ *   POST   /batch            <- { operations: [{ op: 'set' | 'remove', key, value? }] }
+ *
+ * Environment:
+ *   PORT        - Port to listen on (default 8787)
+ *   DATA_FILE   - JSON file to persist data to (default: memory only)
+ *   API_TOKEN   - Token every data request must send as `Authorization: Bearer <token>`
+ *   CORS_ORIGIN - Allowed browser origin (default http://localhost:PORT, the server itself)
+ *   STATIC_DIR  - Also serve the app's files from this directory
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.DATA_FILE || null;
+const API_TOKEN = process.env.API_TOKEN || null;
+const CORS_ORIGIN = process.env.CORS_ORIGIN || `http://localhost:${PORT}`;
+const STATIC_DIR = process.env.STATIC_DIR ? path.resolve(process.env.STATIC_DIR) : null;
+
+// Keys holding password hashes and session or reset tokens, only stored when API_TOKEN is set
+const CREDENTIAL_KEYS = ['visa_users', 'visa_sessions', 'visa_password_resets'];
+
+// Largest request body accepted (documents are kept in the browser, so this is generous)
+const MAX_BODY_SIZE = 5 * 1024 * 1024;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+// ===== Data =====
+
+const store = new Map();
+
+/**
+ * Load persisted data from DATA_FILE, if configured
+ */
+function loadData() {
+    if (!DATA_FILE || !fs.existsSync(DATA_FILE)) return;
+    
+    const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    Object.entries(data).forEach(([key, value]) => store.set(key, value));
+}
+
+/**
+ * Write all data to DATA_FILE, if configured. Writes to a temporary file
+ * first so a crash cannot leave a half-written data file behind.
+ */
+function saveData() {
+    if (!DATA_FILE) return;
+    
+    const tmpFile = DATA_FILE + '.tmp';
+    fs.writeFileSync(tmpFile, JSON.stringify(Object.fromEntries(store)));
+    fs.renameSync(tmpFile, DATA_FILE);
+}
+
+/**
+ * Apply a batch of operations. Every operation is validated before any is applied.
+ * @param {Array} operations - Array of { op, key, value? }
+ */
+function applyBatch(operations) {
+    if (!Array.isArray(operations)) {
+        throw new RequestError(400, 'operations must be an array');
+    }
+    operations.forEach(op => {
+        if (!op || typeof op.key !== 'string' || (op.op !== 'set' && op.op !== 'remove')) {
+            throw new RequestError(400, 'Each operation needs a string key and op "set" or "remove"');
+        }
+    });
+    
+    operations.forEach(op => {
+        if (op.op === 'set') {
+            store.set(op.key, op.value === undefined ? null : op.value);
+        } else {
+            store.delete(op.key);
+        }
+    });
+    saveData();
+}
+
+// ===== HTTP =====
+
+/**
+ * Error carrying an HTTP status code
+ */
+class RequestError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<object>} - Parsed body
+ */
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(new RequestError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+            } catch (error) {
+                reject(new RequestError(400, 'Invalid JSON body'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Send a JSON response (or an empty 204 when body is undefined)
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {object} body - Response body
+ */
+function sendJson(res, status, body) {
+    if (body === undefined) {
+        res.writeHead(status);
+        res.end();
+        return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Check a request may use the data routes with these keys
+ * @param {http.IncomingMessage} req - Request
+ * @param {Array} keys - Keys the request reads or writes
+ */
+function checkAccess(req, keys) {
+    if (API_TOKEN) {
+        const expected = Buffer.from(`Bearer ${API_TOKEN}`);
+        const given = Buffer.from(req.headers.authorization || '');
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            throw new RequestError(401, 'Missing or wrong API token');
+        }
+        return;
+    }
+    
+    const credentialKey = keys.find(key => CREDENTIAL_KEYS.includes(key));
+    if (credentialKey) {
+        throw new RequestError(403, `${credentialKey} holds credentials and is only stored when API_TOKEN is set`);
+    }
+}
+
+/**
+ * Serve a file from STATIC_DIR
+ * @param {string} pathname - Requested path
+ * @param {http.ServerResponse} res - Response
+ */
+function serveStatic(pathname, res) {
+    const filePath = path.join(STATIC_DIR, path.normalize(decodeURIComponent(pathname === '/' ? '/index.html' : pathname)));
+    
+    // Never serve anything outside STATIC_DIR
+    if (!filePath.startsWith(STATIC_DIR + path.sep)) {
+        throw new RequestError(403, 'Forbidden');
+    }
+    
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+/**
+ * Route a request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const keyMatch = url.pathname.match(/^\/kv\/(.+)$/);
+    
+    if (keyMatch) {
+        const key = decodeURIComponent(keyMatch[1]);
+        checkAccess(req, [key]);
+        
+        switch (req.method) {
+            case 'GET':
+                if (!store.has(key)) {
+                    sendJson(res, 404, { error: 'Not found' });
+                } else {
+                    sendJson(res, 200, { key: key, value: store.get(key) });
+                }
+                return;
+            case 'PUT': {
+                const body = await readJson(req);
+                applyBatch([{ op: 'set', key: key, value: body.value }]);
+                sendJson(res, 204);
+                return;
+            }
+            case 'DELETE':
+                applyBatch([{ op: 'remove', key: key }]);
+                sendJson(res, 204);
+                return;
+            default:
+                throw new RequestError(405, 'Method not allowed');
+        }
+    }
+    
+    if (url.pathname === '/kv' && req.method === 'GET') {
+        checkAccess(req, []);
+        const prefix = url.searchParams.get('prefix') || '';
+        sendJson(res, 200, { keys: Array.from(store.keys()).filter(key => key.startsWith(prefix)) });
+        return;
+    }
+    
+    if (url.pathname === '/batch' && req.method === 'POST') {
+        const body = await readJson(req);
+        checkAccess(req, Array.isArray(body.operations) ? body.operations.map(op => op && op.key) : []);
+        applyBatch(body.operations);
+        sendJson(res, 204);
+        return;
+    }
+    
+    if (STATIC_DIR && req.method === 'GET') {
+        serveStatic(url.pathname, res);
+        return;
+    }
+    
+    throw new RequestError(404, 'Not found');
+}
+
+const server = http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', CORS_ORIGIN);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    
+    if (req.method === 'OPTIONS') {
+        sendJson(res, 204);
+        return;
+    }
+    
+    try {
+        await handleRequest(req, res);
+    } catch (error) {
+        if (!(error instanceof RequestError)) {
+            console.error('Error handling request:', error);
+        }
+        if (!res.headersSent) {
+            sendJson(res, error.status || 500, { error: error.status ? error.message : 'Internal server error' });
+        }
+    }
+});
+
+loadData();
+server.listen(PORT, () => {
+    console.log(`Visa Guide AIA storage server listening on http://localhost:${PORT} (demo only)`);
+    if (!API_TOKEN) {
+        console.log('No API_TOKEN set: accounts and sessions cannot be stored on this server');
+    }
+    if (STATIC_DIR) {
+        console.log(`Serving app files from ${STATIC_DIR}`);
+    }
+});
@@ -0,0 +1,49 @@
+/**
+ * Visa Guide AIA - Service Worker
+ * Shows reminder notifications (see js/reminders.js) and handles clicks on them.
+ * Reminder state lives in the app's storage, which this worker cannot reach, so
+ * snooze and dismiss are handed to an open dashboard (or one opened for the purpose).
+ */
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('notificationclick', event => {
+    const data = event.notification.data || {};
+    event.notification.close();
+    
+    if (event.action === 'snooze' || event.action === 'dismiss') {
+        event.waitUntil(sendReminderAction(data.reminderId, event.action));
+    } else {
+        event.waitUntil(openPage(data.url || 'dashboard.html'));
+    }
+});
+
+// Pass a snooze or dismiss to an open dashboard, opening one if there is none
+async function sendReminderAction(reminderId, action) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const dashboard = windows.find(client => new URL(client.url).pathname.endsWith('/dashboard.html'));
+    
+    if (dashboard) {
+        dashboard.postMessage({ type: 'reminder-action', reminderId: reminderId, action: action });
+        return;
+    }
+    await self.clients.openWindow(`dashboard.html?reminder=${encodeURIComponent(reminderId)}&reminderAction=${action}`);
+}
+
+// Focus a window already showing the page, or open it
+async function openPage(url) {
+    const target = new URL(url, self.registration.scope).href;
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const existing = windows.find(client => client.url === target);
+    
+    if (existing) {
+        return existing.focus();
+    }
+    return self.clients.openWindow(target);
+}
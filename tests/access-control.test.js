@@ -0,0 +1,123 @@
+/**
+ * Visa Guide AIA - Access Control Tests
+ * Applicants cannot read or change each other's applications or accounts.
+ * Run with `node --test tests/` (Node 18 or later, no dependencies).
+ */
+
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+let Storage;
+let alice;
+let bob;
+let aliceApplication;
+
+before(async () => {
+    Storage = loadScripts().Storage;
+    
+    alice = (await Storage.registerUser({ name: 'Alice', email: 'alice@example.com', password: 'alice-secret' })).user;
+    aliceApplication = (await Storage.addApplication(alice.id, { destination: 'France', visaType: 'Tourist', status: 'draft' })).application;
+    
+    // Everything below runs as Bob
+    bob = (await Storage.registerUser({ name: 'Bob', email: 'bob@example.com', password: 'bob-secret' })).user;
+});
+
+test('applicants cannot read another applicant\'s application', async () => {
+    assert.strictEqual((await Storage.getApplicationById(aliceApplication.id)).forbidden, true);
+});
+
+test('applicants cannot list another applicant\'s applications', async () => {
+    assert.strictEqual((await Storage.getUserApplications(alice.id)).forbidden, true);
+});
+
+test('applicants cannot update another applicant\'s application', async () => {
+    const result = await Storage.updateApplication(alice.id, aliceApplication.id, { destination: 'Japan' });
+    assert.strictEqual(result.forbidden, true);
+});
+
+test('applicants cannot delete another applicant\'s application', async () => {
+    assert.strictEqual((await Storage.deleteApplication(alice.id, aliceApplication.id)).forbidden, true);
+});
+
+test('applicants cannot decide on applications', async () => {
+    assert.strictEqual((await Storage.updateApplicationStatus(aliceApplication.id, 'approved')).forbidden, true);
+});
+
+test('applicants cannot change account roles', async () => {
+    assert.strictEqual((await Storage.assignRole(bob.id, 'admin')).forbidden, true);
+    assert.strictEqual((await Storage.getCurrentUser()).role, 'applicant');
+});
+
+test('applicants cannot add an application to another account', async () => {
+    assert.strictEqual((await Storage.addApplication(alice.id, { destination: 'Japan' })).forbidden, true);
+    
+    // An owner in the application data is ignored: it is saved to the signed-in account
+    const result = await Storage.addApplication(bob.id, { userId: alice.id, destination: 'Japan', adminNotes: 'Approved' });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.application.userId, bob.id);
+    assert.strictEqual(result.application.adminNotes, undefined);
+});
+
+test('applicants cannot attach documents by writing the checklist', async () => {
+    const checklist = [{ id: 'passport', label: 'Passport', category: 'identity', required: true, documentId: 'doc_alice' }];
+    const application = (await Storage.addApplication(bob.id, { destination: 'Japan', checklist: checklist })).application;
+    assert.strictEqual(application.checklist[0].documentId, null);
+    
+    await Storage.updateApplication(bob.id, application.id, { checklist: checklist });
+    assert.strictEqual((await Storage.getApplicationById(application.id)).checklist[0].documentId, null);
+});
+
+test('applicants cannot restore a backup into another account', async () => {
+    const backup = {
+        user: { id: bob.id, profile: {} },
+        applications: [{ id: 'app_imported', userId: alice.id, destination: 'Japan', status: 'pending' }]
+    };
+    assert.strictEqual((await Storage.importUserData(alice.id, backup)).forbidden, true);
+    
+    // Restored records always belong to the account they are restored into
+    assert.strictEqual((await Storage.importUserData(bob.id, backup)).success, true);
+    const restored = (await Storage.getUserApplications(bob.id)).find(app => app.restoredFrom === 'app_imported');
+    assert.strictEqual(restored.userId, bob.id);
+    assert.notStrictEqual(restored.id, 'app_imported');
+    
+    // Restoring the same backup again adds nothing
+    await Storage.importUserData(bob.id, backup);
+    assert.strictEqual((await Storage.getUserApplications(bob.id)).filter(app => app.restoredFrom === 'app_imported').length, 1);
+});
+
+test('applicants cannot set review fields through a tampered backup', async () => {
+    const backup = {
+        user: { id: bob.id, profile: {} },
+        applications: [{
+            id: 'x\');alert(1);(\'',
+            userId: bob.id,
+            destination: 'Japan',
+            status: 'approved',
+            adminNotes: 'Approved',
+            decidedAt: '2025-01-01T00:00:00.000Z',
+            history: [{ id: 'hist_forged', type: 'status', from: 'pending', to: 'approved' }]
+        }]
+    };
+    assert.strictEqual((await Storage.importUserData(bob.id, backup)).success, true);
+    
+    const restored = (await Storage.getUserApplications(bob.id)).find(app => app.restoredFrom === backup.applications[0].id);
+    assert.match(restored.id, /^app_[a-z0-9]+$/);
+    assert.strictEqual(restored.status, 'draft');
+    assert.strictEqual(restored.adminNotes, undefined);
+    assert.strictEqual(restored.decidedAt, undefined);
+    assert.deepStrictEqual(Array.from(restored.history, event => event.to), ['draft']);
+    assert.strictEqual((await Storage.getUserApplicationStats(bob.id)).approved, 0);
+});
+
+test('applicants cannot change another applicant\'s password', async () => {
+    assert.strictEqual((await Storage.updateUserPassword(alice.id, 'hacked!')).forbidden, true);
+    
+    await Storage.logoutUser();
+    assert.strictEqual((await Storage.loginUser('alice@example.com', 'hacked!')).success, false);
+    assert.strictEqual((await Storage.loginUser('alice@example.com', 'alice-secret')).success, true);
+    
+    // Alice still sees only her own application
+    const applications = await Storage.getUserApplications(alice.id);
+    assert.deepStrictEqual(Array.from(applications, app => app.id), [aliceApplication.id]);
+});
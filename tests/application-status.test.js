@@ -0,0 +1,68 @@
+/**
+ * Visa Guide AIA - Application Status Tests
+ * The status lifecycle and the transitions Storage allows.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const window = loadScripts();
+const { ApplicationStatus, Storage } = window;
+
+test('applications move through the lifecycle one step at a time', () => {
+    [
+        ['draft', 'pending'],
+        ['pending', 'under_review'],
+        ['under_review', 'additional_info_requested'],
+        ['additional_info_requested', 'under_review'],
+        ['under_review', 'approved'],
+        ['under_review', 'rejected'],
+        ['pending', 'withdrawn'],
+        ['additional_info_requested', 'withdrawn']
+    ].forEach(([from, to]) => {
+        assert.strictEqual(ApplicationStatus.validateTransition(from, to), null, `${from} -> ${to}`);
+    });
+    
+    assert.match(ApplicationStatus.validateTransition('draft', 'approved'), /Cannot change an application from Draft to Approved. Allowed next statuses: Submitted/);
+    assert.match(ApplicationStatus.validateTransition('pending', 'approved'), /from Submitted to Approved/);
+    assert.strictEqual(ApplicationStatus.canTransition('draft', 'withdrawn'), false);
+});
+
+test('decided and withdrawn applications are final', () => {
+    ['approved', 'rejected', 'withdrawn'].forEach(from => {
+        assert.match(ApplicationStatus.validateTransition(from, 'under_review'), /Allowed next statuses: none, it is final/);
+    });
+    assert.strictEqual(ApplicationStatus.isDecision('approved'), true);
+    assert.strictEqual(ApplicationStatus.isDecision('withdrawn'), false);
+});
+
+test('unknown statuses are refused', () => {
+    assert.match(ApplicationStatus.validateTransition('pending', 'done'), /"done" is not a valid application status/);
+    assert.match(ApplicationStatus.validateTransition('archived', 'pending'), /unknown status "archived"/);
+    assert.strictEqual(ApplicationStatus.getLabel('archived'), 'archived');
+});
+
+test('case officers are offered only the reviewer steps', () => {
+    assert.deepStrictEqual(Array.from(ApplicationStatus.getReviewerActions('pending')), ['under_review']);
+    assert.deepStrictEqual(Array.from(ApplicationStatus.getReviewerActions('under_review')), ['additional_info_requested', 'approved', 'rejected']);
+    assert.deepStrictEqual(Array.from(ApplicationStatus.getReviewerActions('approved')), []);
+});
+
+test('Storage refuses transitions the lifecycle does not allow', async () => {
+    window.AppConfig.adminEmails.push('reviewer@example.com');
+    const applicant = (await Storage.registerUser({ name: 'Kim', email: 'kim@example.com', password: 'kim-secret' })).user;
+    const draft = (await Storage.addApplication(applicant.id, { destination: 'France', visaType: 'Tourist', status: 'draft' })).application;
+    
+    const withdrawn = await Storage.withdrawApplication(applicant.id, draft.id, 'Plans changed');
+    assert.strictEqual(withdrawn.success, false);
+    assert.match(withdrawn.message, /from Draft to Withdrawn/);
+    
+    await Storage.registerUser({ name: 'Reviewer', email: 'reviewer@example.com', password: 'reviewer-secret' });
+    const approved = await Storage.updateApplicationStatus(draft.id, 'approved');
+    assert.strictEqual(approved.success, false);
+    assert.strictEqual((await Storage.getApplicationById(draft.id)).status, 'draft');
+    
+    // Submitting and withdrawing are up to the applicant
+    assert.match((await Storage.updateApplicationStatus(draft.id, 'withdrawn')).message, /Case officers cannot set an application to Withdrawn/);
+});
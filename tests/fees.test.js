@@ -0,0 +1,98 @@
+/**
+ * Visa Guide AIA - Fee Tests
+ * Fee schedule versions, fee-waiver limits and what an application still owes.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const window = loadScripts(['js/fees.js']);
+const { Fees, Storage } = window;
+
+// The 2025 guideline for one person is $15,650: 150% is $23,475 and 400% is $62,600
+const N400 = { form: 'N-400', destination: 'United States', visaType: 'Naturalization', submittedAt: '2025-06-01T12:00:00.000Z' };
+
+test('the fees in force on a date are charged', () => {
+    assert.strictEqual(Fees.getFees({ form: 'N-400' }, '2024-01-01').total, 725);
+    assert.strictEqual(Fees.getFees({ form: 'N-400' }, '2016-01-01'), null);
+    assert.strictEqual(Fees.getFees({ destination: 'Canada', visaType: 'Student' }, '2020-01-01').total, 235);
+    assert.strictEqual(Fees.getFees({ destination: 'Atlantis', visaType: 'Tourist' }, '2020-01-01'), null);
+});
+
+test('the poverty guideline grows with the household', () => {
+    assert.deepStrictEqual({ ...Fees.getPovertyGuideline(1, '2025-06-01') }, { year: 2025, amount: 15650 });
+    assert.deepStrictEqual({ ...Fees.getPovertyGuideline(4, '2025-06-01') }, { year: 2025, amount: 32150 });
+    assert.strictEqual(Fees.getPovertyGuideline(1, '2025-02-28').year, 2024);
+});
+
+test('fee-waiver limits are compared before rounding', () => {
+    const fees = Fees.getFees({ form: 'N-400' }, '2025-06-01');
+    const check = income => Fees.checkWaiver(fees, { householdSize: 1, income: income }, '2025-06-01');
+    
+    assert.strictEqual(check(23475).status, 'waiver');
+    assert.strictEqual(check(23475).due, 0);
+    
+    // 150.4% of the guideline rounds to 150% but is over the limit
+    const over = check(23537.6);
+    assert.strictEqual(over.status, 'reduced');
+    assert.strictEqual(over.due, 380);
+    assert.strictEqual(over.percent, 150.4);
+    
+    assert.strictEqual(check(62600).status, 'reduced');
+    assert.strictEqual(check(62601).status, 'none');
+    assert.strictEqual(check(62601).due, 760);
+    assert.strictEqual(check('').status, 'unavailable');
+});
+
+test('balances apply the recorded fee waiver', () => {
+    const pending = { ...N400, status: 'pending', payments: [{ amount: 100, currency: 'USD' }] };
+    assert.strictEqual(Fees.getBalance(pending).owed, 660);
+    
+    const reduced = Fees.getBalance({ ...pending, feeWaiver: { householdSize: 1, income: 30000 } });
+    assert.strictEqual(reduced.waiver.status, 'reduced');
+    assert.strictEqual(reduced.total, 380);
+    assert.strictEqual(reduced.owed, 280);
+    
+    assert.strictEqual(Fees.getBalance({ ...pending, feeWaiver: { householdSize: 1, income: 20000 } }).owed, 0);
+    assert.strictEqual(Fees.getBalance({ ...pending, feeWaiver: { householdSize: 1, income: 70000 } }).owed, 660);
+});
+
+test('drafts, withdrawn and refused applications owe nothing', () => {
+    ['draft', 'withdrawn', 'rejected'].forEach(status => {
+        const balance = Fees.getBalance({ ...N400, status: status });
+        assert.strictEqual(balance.billed, false, status);
+        assert.strictEqual(balance.owed, 0, status);
+    });
+    
+    const owed = Fees.getAmountsOwed([
+        { ...N400, status: 'pending' },
+        { ...N400, status: 'withdrawn' },
+        { ...N400, status: 'draft' },
+        { destination: 'Canada', visaType: 'Student', status: 'under_review', submittedAt: N400.submittedAt, payments: [{ amount: 35, currency: 'CAD' }] }
+    ]);
+    assert.deepStrictEqual(Array.from(owed, total => ({ ...total })), [
+        { currency: 'USD', owed: 760, applications: 1 },
+        { currency: 'CAD', owed: 200, applications: 1 }
+    ]);
+});
+
+test('fee-waiver details are checked and recorded in the history', async () => {
+    const user = (await Storage.registerUser({ name: 'Carol', email: 'carol@example.com', password: 'carol-secret' })).user;
+    const application = (await Storage.addApplication(user.id, { ...N400, status: 'draft' })).application;
+    
+    assert.strictEqual((await Storage.setFeeWaiver(user.id, application.id, { householdSize: 0, income: 1000 })).success, false);
+    assert.strictEqual((await Storage.setFeeWaiver(user.id, application.id, { householdSize: 2, income: '' })).success, false);
+    
+    const result = await Storage.setFeeWaiver(user.id, application.id, { householdSize: '2', income: '20000' });
+    assert.strictEqual(result.success, true);
+    
+    const saved = await Storage.getApplicationById(application.id);
+    assert.strictEqual(saved.feeWaiver.householdSize, 2);
+    assert.strictEqual(saved.feeWaiver.income, 20000);
+    assert.strictEqual(saved.history[saved.history.length - 1].field, 'feeWaiver');
+    
+    // The waiver cannot be set through an ordinary update
+    await Storage.updateApplication(user.id, application.id, { feeWaiver: { householdSize: 9, income: 0 } });
+    assert.strictEqual((await Storage.getApplicationById(application.id)).feeWaiver.householdSize, 2);
+});
@@ -0,0 +1,70 @@
+/**
+ * Visa Guide AIA - Test Helper
+ * Loads the app's browser scripts into a fresh vm context, the way the pages do.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// Scripts every page loads, in order
+const STORAGE_SCRIPTS = [
+    'js/config.js',
+    'js/storage-backends.js',
+    'js/migrations.js',
+    'js/application-status.js',
+    'js/access-policy.js',
+    'js/storage.js'
+];
+
+/**
+ * Create an in-memory localStorage
+ * @param {object} data - Initial items (values are stored as given, so pass strings)
+ * @returns {object} - localStorage stand-in
+ */
+function createLocalStorage(data = {}) {
+    const items = new Map(Object.entries(data));
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        key: index => [...items.keys()][index] || null,
+        get length() {
+            return items.size;
+        }
+    };
+}
+
+/**
+ * Load scripts into a fresh browser-like context
+ * @param {Array} files - Scripts to load after the storage scripts (or instead of them, with options.only)
+ * @param {object} options - { only: true } to load just `files`; `localStorage` to start from; `globals` to add to the window
+ * @returns {object} - The context's window, with Storage and the other globals
+ */
+function loadScripts(files = [], options = {}) {
+    const window = {
+        console: { ...console, error() {} }, // IndexedDB is missing here, so vault keys are only held in memory
+        crypto: globalThis.crypto,
+        TextEncoder: TextEncoder,
+        TextDecoder: TextDecoder,
+        atob: atob,
+        btoa: btoa,
+        URL: URL,
+        structuredClone: structuredClone,
+        location: { href: 'http://localhost/index.html' },
+        addEventListener() {},
+        localStorage: options.localStorage || createLocalStorage(),
+        ...(options.globals || {})
+    };
+    window.window = window;
+    vm.createContext(window);
+    
+    // Top-level consts stay script-scoped; each script also exports itself on window
+    const root = path.join(__dirname, '..');
+    (options.only ? files : [...STORAGE_SCRIPTS, ...files]).forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), window, { filename: file });
+    });
+    return window;
+}
+
+module.exports = { loadScripts, createLocalStorage };
@@ -0,0 +1,121 @@
+/**
+ * Visa Guide AIA - Migration Tests
+ * Data saved before schema versioning is brought up to date, and a failed step is rolled back.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { Migrations, StorageBackends } = loadScripts();
+
+/**
+ * Copy a value out of the scripts' context so it compares equal to literals here
+ * @param {any} value - JSON-compatible value
+ * @returns {any} - Copy made in this context
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Create a backend holding data in the shape the app saved before versioning
+ * @returns {object} - Memory backend
+ */
+function createLegacyBackend() {
+    return StorageBackends.create({
+        backend: 'memory',
+        data: {
+            civics_progress: { usr_1: { questionsAnswered: '5', correctAnswers: 3, completedFlashcards: [1, 1, 2, 'x'] } },
+            chat_history: { usr_1: [{ role: 'assistant', content: 'Hello' }, { role: 'user' }, null] },
+            visa_users: [
+                { id: 'usr_1', name: 'Ivy', email: 'ivy@example.com', applications: [{ id: 'app_1' }] },
+                { id: 'usr_2', name: 'Jon', email: 'jon@example.com', role: 'admin', profile: { phone: '555' } }
+            ],
+            visa_applications: [
+                { id: 'app_1', userId: 'usr_1', status: 'pending', createdAt: '2024-01-01T00:00:00.000Z', submittedAt: '2024-01-02T00:00:00.000Z' },
+                { id: 'app_2', userId: 'usr_1', status: 'approved', createdAt: '2024-02-01T00:00:00.000Z', approvedAt: '2024-03-01T00:00:00.000Z', adminNotes: 'All good' },
+                { id: 'app_3', userId: 'usr_1' },
+                { id: 'app_4', userId: 'usr_1', status: 'In Review', createdAt: '2024-04-01T00:00:00.000Z' }
+            ]
+        }
+    });
+}
+
+test('data saved before versioning is migrated to the latest version', async () => {
+    const backend = createLegacyBackend();
+    
+    const result = await Migrations.run(backend);
+    assert.deepStrictEqual(plain(result), { success: true, version: 8 });
+    assert.strictEqual(await Migrations.getVersion(backend), Migrations.getLatestVersion());
+    
+    // 1 and 2: civics progress and chat history are normalized
+    assert.deepStrictEqual(plain(await backend.get('civics_progress')), { usr_1: { questionsAnswered: 5, correctAnswers: 3, completedFlashcards: [1, 2] } });
+    assert.deepStrictEqual(plain(await backend.get('chat_history')), { usr_1: [{ role: 'bot', content: 'Hello', timestamp: null }] });
+    
+    // 3, 4 and 7: users get a profile and a role, and lose the old summaries
+    const [ivy, jon] = await backend.get('visa_users');
+    assert.strictEqual(ivy.profile.fullName, 'Ivy');
+    assert.strictEqual(ivy.applications, undefined);
+    assert.strictEqual(ivy.role, 'applicant');
+    assert.strictEqual(jon.profile.phone, '555');
+    assert.strictEqual(jon.role, 'admin');
+    
+    // 3, 5, 6 and 8: applications get a lifecycle status, a history and a decision date
+    const [submitted, approved, bare, renamed] = await backend.get('visa_applications');
+    assert.strictEqual(submitted.status, 'pending');
+    assert.deepStrictEqual(plain(submitted.history.map(event => [event.from, event.to])), [[null, 'draft'], ['draft', 'pending']]);
+    assert.strictEqual(approved.decidedAt, '2024-03-01T00:00:00.000Z');
+    assert.deepStrictEqual(plain(approved.history.map(event => [event.to, event.note])), [['pending', ''], ['approved', 'All good']]);
+    assert.strictEqual(bare.status, 'pending');
+    assert.strictEqual(bare.updatedAt, null);
+    assert.strictEqual(renamed.status, 'under_review');
+});
+
+test('migrating again changes nothing', async () => {
+    const backend = createLegacyBackend();
+    await Migrations.run(backend);
+    const applications = await backend.get('visa_applications');
+    
+    assert.deepStrictEqual(plain(await Migrations.run(backend)), { success: true, version: 8 });
+    assert.deepStrictEqual(await backend.get('visa_applications'), applications);
+});
+
+test('a failing step is rolled back and stops the run', async () => {
+    const backend = createLegacyBackend();
+    await backend.set(Migrations.SCHEMA_VERSION_KEY, 6);
+    const users = await backend.get('visa_users');
+    
+    // Step 7 fails after writing, so neither it nor step 8 is applied
+    const step = Migrations.registry.find(migration => migration.version === 7);
+    const up = step.up;
+    step.up = async tx => {
+        await tx.set('visa_users', []);
+        throw new Error('Disk full');
+    };
+    try {
+        const result = await Migrations.run(backend);
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.version, 6);
+        assert.match(result.message, /Migration 7 failed: Disk full/);
+    } finally {
+        step.up = up;
+    }
+    
+    assert.strictEqual(await Migrations.getVersion(backend), 6);
+    assert.deepStrictEqual(await backend.get('visa_users'), users);
+    assert.strictEqual((await backend.get('visa_applications'))[1].decidedAt, undefined);
+    
+    // The next run picks up where it stopped
+    assert.strictEqual((await Migrations.run(backend)).version, 8);
+});
+
+test('the last step can be undone from its backup', async () => {
+    const backend = createLegacyBackend();
+    await Migrations.run(backend);
+    
+    const result = await Migrations.restore(backend);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(await Migrations.getVersion(backend), 7);
+    assert.strictEqual((await backend.get('visa_applications'))[1].decidedAt, undefined);
+});
@@ -0,0 +1,95 @@
+/**
+ * Visa Guide AIA - Naturalization Eligibility Tests
+ * Filing dates from the green card date, marriage to a U.S. citizen and the trip log.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { Naturalization } = loadScripts(['js/naturalization.js']);
+
+// Noon local time, so the calendar day is the same in every time zone
+const JAN_15_2025 = new Date(2025, 0, 15, 12).getTime();
+const JUN_1_2025 = new Date(2025, 5, 1, 12).getTime();
+
+test('permanent residents can file 90 days before their fifth anniversary', () => {
+    const result = Naturalization.evaluate({ permanentResidentSince: '2020-03-10' }, JAN_15_2025);
+    
+    assert.strictEqual(result.residenceYears, 5);
+    assert.strictEqual(result.eligibilityDate, '2025-03-10');
+    assert.strictEqual(result.earliestFilingDate, '2024-12-10');
+    assert.strictEqual(result.filingDate, '2025-01-15');
+    assert.strictEqual(result.canFileNow, true);
+    assert.strictEqual(result.presence.daysInUS, 1773);
+    assert.strictEqual(result.presence.met, true);
+});
+
+test('spouses of U.S. citizens count three years from the later of green card and marriage', () => {
+    const result = Naturalization.evaluate({ permanentResidentSince: '2022-06-01', marriedToCitizen: 'yes', citizenSpouseSince: '2023-01-01' }, JAN_15_2025);
+    
+    assert.strictEqual(result.residenceYears, 3);
+    assert.strictEqual(result.presence.required, 548);
+    assert.strictEqual(result.residenceStart, '2023-01-01');
+    assert.strictEqual(result.eligibilityDate, '2026-01-01');
+    assert.strictEqual(result.filingDate, '2025-10-03');
+    assert.strictEqual(result.canFileNow, false);
+    assert.strictEqual(result.daysUntilFiling, 261);
+});
+
+test('a year abroad restarts the residence clock and a long trip is flagged', () => {
+    const result = Naturalization.evaluate({
+        permanentResidentSince: '2018-01-01',
+        trips: [
+            { departureDate: '2020-02-01', returnDate: '2021-03-01' },
+            { departureDate: '2023-05-01', returnDate: '2023-11-20' }
+        ]
+    }, JAN_15_2025);
+    
+    assert.strictEqual(result.clockRestarted, true);
+    assert.strictEqual(result.residenceStart, '2021-03-01');
+    assert.strictEqual(result.eligibilityDate, '2026-03-01');
+    assert.strictEqual(result.earliestFilingDate, '2025-12-01');
+    assert.deepStrictEqual(Array.from(result.concerns, trip => `${trip.concern}:${trip.daysAbroad}`), ['breaks:393', 'presumed:202']);
+});
+
+test('too little physical presence moves the filing date to the first day it is met', () => {
+    const trips = ['2020', '2021', '2022', '2023'].map(year => ({ departureDate: `${year}-01-10`, returnDate: `${year}-11-01` }));
+    const result = Naturalization.evaluate({ permanentResidentSince: '2020-01-01', trips: trips }, JUN_1_2025);
+    
+    assert.strictEqual(result.earliestFilingDate, '2024-10-03');
+    assert.strictEqual(result.presence.met, false);
+    assert.strictEqual(result.presence.daysInUS, 792);
+    assert.strictEqual(result.filingDate, '2025-09-30');
+    
+    // 913 days in the U.S. are first reached on the filing date
+    const days = trips.map(trip => ({ start: Naturalization.toDay(trip.departureDate), end: Naturalization.toDay(trip.returnDate) }));
+    const greenCardDay = Naturalization.toDay('2020-01-01');
+    const filingDay = Naturalization.toDay(result.filingDate);
+    assert.strictEqual(Naturalization.getPresence(days, greenCardDay, filingDay, 5).daysInUS, 913);
+    assert.strictEqual(Naturalization.getPresence(days, greenCardDay, filingDay - 1, 5).daysInUS, 912);
+});
+
+test('no filing date is given while a year-long trip is still going on', () => {
+    const result = Naturalization.evaluate({ permanentResidentSince: '2015-01-01', trips: [{ departureDate: '2024-01-01' }] }, JUN_1_2025);
+    
+    assert.strictEqual(result.residenceStart, '2025-06-01');
+    assert.strictEqual(result.filingDate, null);
+    assert.strictEqual(result.daysUntilFiling, null);
+    assert.match(Naturalization.describe(result), /cannot be worked out until you return/);
+});
+
+test('days abroad are split across the years a trip spans', () => {
+    const summary = Naturalization.summarizeTrips([{ departureDate: '2023-12-20', returnDate: '2024-01-10' }], JUN_1_2025);
+    
+    assert.deepStrictEqual(Array.from(summary.byYear, year => ({ ...year })), [
+        { year: 2024, trips: 0, daysAbroad: 9 },
+        { year: 2023, trips: 1, daysAbroad: 11 }
+    ]);
+    assert.strictEqual(summary.since, '2020-06-01');
+    assert.strictEqual(summary.recentDaysAbroad, 20);
+});
+
+test('29 February becomes 1 March in other years', () => {
+    assert.strictEqual(Naturalization.toDateString(Naturalization.addYears(Naturalization.toDay('2020-02-29'), 5)), '2025-03-01');
+});
@@ -0,0 +1,99 @@
+/**
+ * Visa Guide AIA - Processing Time Tests
+ * Milestone estimates for visa and naturalization (N-400) applications.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const window = loadScripts(['js/processing-times.js']);
+const { ProcessingTimes, Storage } = window;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FILED = new Date('2025-01-01T12:00:00').getTime();
+
+/**
+ * Find a milestone in an estimate
+ * @param {object} estimate - Result of ProcessingTimes.estimate
+ * @param {string} id - Milestone ID
+ * @returns {object|undefined} - Milestone
+ */
+function milestone(estimate, id) {
+    return estimate.milestones.find(entry => entry.id === id);
+}
+
+test('visa applications are estimated from their destination office', () => {
+    const estimate = ProcessingTimes.estimate({ destination: 'United States', status: 'pending', submittedAt: new Date(FILED).toISOString() }, FILED);
+    
+    assert.strictEqual(estimate.office, 'United States');
+    assert.deepStrictEqual(Array.from(estimate.milestones, entry => entry.id), ['filed', 'biometrics', 'interview', 'decision']);
+    assert.strictEqual(estimate.decision.expectedFrom, '2025-01-31');
+    assert.strictEqual(estimate.decision.expectedTo, '2025-07-20');
+    assert.strictEqual(estimate.pastNormalRange, false);
+});
+
+test('offices without a row of their own use the general times', () => {
+    const estimate = ProcessingTimes.estimate({ destination: 'Japan', status: 'pending', submittedAt: new Date(FILED).toISOString() }, FILED);
+    assert.strictEqual(estimate.office, '*');
+    assert.strictEqual(estimate.decision.expectedTo, '2025-04-01');
+});
+
+test('naturalization applications include the oath ceremony once approved', () => {
+    const application = {
+        form: 'N-400',
+        destination: 'United States',
+        visaType: 'Naturalization',
+        status: 'approved',
+        submittedAt: new Date(FILED).toISOString(),
+        decidedAt: new Date(FILED + 200 * DAY_MS).toISOString()
+    };
+    const estimate = ProcessingTimes.estimate(application, FILED + 210 * DAY_MS);
+    
+    assert.deepStrictEqual(Array.from(estimate.milestones, entry => entry.id), ['filed', 'biometrics', 'interview', 'decision', 'oath']);
+    assert.strictEqual(milestone(estimate, 'decision').state, 'done');
+    assert.strictEqual(milestone(estimate, 'oath').state, 'pending');
+    assert.strictEqual(milestone(estimate, 'oath').expectedTo, '2026-02-25');
+    
+    // Without a form the same application is estimated as a visa, which has no oath
+    assert.strictEqual(milestone(ProcessingTimes.estimate({ ...application, form: undefined }, FILED), 'oath'), undefined);
+});
+
+test('applications past the normal range are flagged', () => {
+    const application = { destination: 'United Kingdom', status: 'under_review', submittedAt: new Date(FILED).toISOString() };
+    const estimate = ProcessingTimes.estimate(application, FILED + 90 * DAY_MS);
+    
+    assert.strictEqual(estimate.decision.state, 'overdue');
+    assert.strictEqual(estimate.pastNormalRange, true);
+    assert.deepStrictEqual(Array.from(estimate.late, entry => entry.id), ['biometrics', 'decision']);
+});
+
+test('rows from AppConfig are checked first', () => {
+    window.AppConfig.processingTimes = [{ form: 'visa', office: 'Japan', days: { decision: [5, 10] } }];
+    try {
+        const estimate = ProcessingTimes.estimate({ destination: 'Japan', status: 'pending', submittedAt: new Date(FILED).toISOString() }, FILED);
+        assert.strictEqual(estimate.office, 'Japan');
+        assert.strictEqual(estimate.decision.expectedTo, '2025-01-11');
+    } finally {
+        window.AppConfig.processingTimes = [];
+    }
+});
+
+test('an application\'s form must agree with its visa type and destination', async () => {
+    assert.strictEqual(Storage.getApplicationForm('Naturalization'), 'N-400');
+    assert.strictEqual(Storage.getApplicationForm('Tourist'), 'visa');
+    assert.strictEqual(Storage.validateApplicationForm({ form: 'N-400', destination: 'United States', visaType: 'Naturalization' }), null);
+    assert.notStrictEqual(Storage.validateApplicationForm({ form: 'N-400', destination: 'Canada', visaType: 'Naturalization' }), null);
+    assert.notStrictEqual(Storage.validateApplicationForm({ form: 'visa', destination: 'United States', visaType: 'Naturalization' }), null);
+    assert.notStrictEqual(Storage.validateApplicationForm({ form: 'I-130' }), null);
+    
+    // The form is saved with the application and estimated from
+    const user = (await Storage.registerUser({ name: 'Nina', email: 'nina@example.com', password: 'nina-secret' })).user;
+    const rejected = await Storage.addApplication(user.id, { form: 'N-400', destination: 'Canada', visaType: 'Naturalization' });
+    assert.strictEqual(rejected.success, false);
+    
+    await Storage.addApplication(user.id, { form: 'N-400', destination: 'United States', visaType: 'Naturalization' });
+    const [summary] = await Storage.getApplicationSummaries(user.id);
+    assert.strictEqual(summary.form, 'N-400');
+    assert.ok(milestone(ProcessingTimes.estimate(summary), 'oath'));
+});
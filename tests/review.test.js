@@ -0,0 +1,43 @@
+/**
+ * Visa Guide AIA - Review Tests
+ * Case officers' decisions and notes on applications.
+ */
+
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+let Storage;
+let application;
+
+before(async () => {
+    const window = loadScripts();
+    Storage = window.Storage;
+    window.AppConfig.adminEmails.push('officer@example.com');
+    
+    const applicant = (await Storage.registerUser({ name: 'Dana', email: 'dana@example.com', password: 'dana-secret' })).user;
+    application = (await Storage.addApplication(applicant.id, { destination: 'France', visaType: 'Tourist', status: 'pending' })).application;
+    
+    // Everything below runs as the case officer
+    await Storage.registerUser({ name: 'Officer Lee', email: 'officer@example.com', password: 'officer-secret' });
+});
+
+test('decisions are recorded with the case officer\'s name', async () => {
+    const result = await Storage.updateApplicationStatus(application.id, 'under_review', 'Checking the itinerary');
+    assert.strictEqual(result.success, true);
+    
+    const event = result.application.history[result.application.history.length - 1];
+    assert.strictEqual(event.type, 'status');
+    assert.strictEqual(event.actorName, 'Officer Lee');
+    assert.strictEqual(event.note, 'Checking the itinerary');
+});
+
+test('a status change without a note keeps the earlier note', async () => {
+    const result = await Storage.updateApplicationStatus(application.id, 'approved');
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.application.adminNotes, 'Checking the itinerary');
+    
+    const updated = await Storage.updateApplicationStatus(application.id, 'approved', 'Passport returned');
+    assert.strictEqual(updated.application.adminNotes, 'Passport returned');
+    assert.strictEqual(updated.application.history[updated.application.history.length - 1].type, 'note');
+});
@@ -0,0 +1,126 @@
+/**
+ * Visa Guide AIA - Storage Backend Tests
+ * Choosing a backend, atomic transactions and read errors.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createLocalStorage } = require('./load-scripts');
+
+test('backends are chosen by configuration', () => {
+    const { StorageBackends } = loadScripts();
+    
+    assert.strictEqual(StorageBackends.create().name, 'localStorage');
+    assert.strictEqual(StorageBackends.create({ backend: 'memory' }).name, 'memory');
+    assert.strictEqual(StorageBackends.create({ backend: 'http' }).name, 'http');
+    assert.throws(() => StorageBackends.create({ backend: 'floppy' }), /Unknown storage backend: floppy/);
+});
+
+test('transactions commit every write together when they resolve', async () => {
+    const { StorageBackends } = loadScripts();
+    const backend = StorageBackends.create({ backend: 'memory', data: { a: 1, b: 2 } });
+    
+    const result = await backend.transaction(async tx => {
+        await tx.set('a', 10);
+        await tx.remove('b');
+        
+        // Reads inside the transaction see its own writes; others do not yet
+        assert.strictEqual(await tx.get('a'), 10);
+        assert.strictEqual(await tx.get('b'), null);
+        assert.strictEqual(await backend.get('a'), 1);
+        return 'done';
+    });
+    
+    assert.strictEqual(result, 'done');
+    assert.strictEqual(await backend.get('a'), 10);
+    assert.strictEqual(await backend.get('b'), null);
+});
+
+test('transactions that throw write nothing', async () => {
+    const { StorageBackends } = loadScripts();
+    const backend = StorageBackends.create({ backend: 'memory', data: { a: 1 } });
+    
+    await assert.rejects(backend.transaction(async tx => {
+        await tx.set('a', 10);
+        await tx.set('c', 3);
+        throw new Error('Changed my mind');
+    }), /Changed my mind/);
+    
+    assert.strictEqual(await backend.get('a'), 1);
+    assert.deepStrictEqual(Array.from(await backend.list()), ['a']);
+});
+
+test('localStorage commits are rolled back when a write fails part-way', async () => {
+    const localStorage = createLocalStorage({ a: '1' });
+    const setItem = localStorage.setItem;
+    localStorage.setItem = (key, value) => {
+        if (key === 'full') {
+            throw new Error('QuotaExceededError');
+        }
+        setItem(key, value);
+    };
+    const backend = loadScripts([], { localStorage: localStorage }).StorageBackends.create();
+    
+    await assert.rejects(backend.transaction(async tx => {
+        await tx.set('a', 2);
+        await tx.set('full', 'x'.repeat(10));
+    }), /QuotaExceededError/);
+    
+    assert.strictEqual(localStorage.getItem('a'), '1');
+    assert.strictEqual(localStorage.getItem('full'), null);
+});
+
+test('the http backend sends transactions as one batch with the configured headers', async () => {
+    const requests = [];
+    const fetch = async (url, init) => {
+        requests.push({ url: url, ...init });
+        return { ok: true, status: 204 };
+    };
+    const { StorageBackends } = loadScripts([], { globals: { fetch: fetch } });
+    const backend = StorageBackends.create({ backend: 'http', baseUrl: 'http://localhost:9000/', headers: { Authorization: 'Bearer token' } });
+    
+    await backend.transaction(async tx => {
+        await tx.set('visa_users', []);
+        await tx.remove('visa_sessions');
+    });
+    
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].url, 'http://localhost:9000/batch');
+    assert.strictEqual(requests[0].headers.Authorization, 'Bearer token');
+    assert.deepStrictEqual(JSON.parse(requests[0].body).operations, [
+        { op: 'set', key: 'visa_users', value: [] },
+        { op: 'remove', key: 'visa_sessions' }
+    ]);
+});
+
+test('Storage reads and writes through the backend it is switched to', async () => {
+    const { Storage, StorageBackends, Migrations } = loadScripts();
+    const backend = StorageBackends.create({ backend: 'memory' });
+    
+    const migrated = await Storage.useBackend(backend);
+    assert.strictEqual(migrated.success, true);
+    assert.strictEqual(await backend.get(Migrations.SCHEMA_VERSION_KEY), Migrations.getLatestVersion());
+    
+    await Storage.registerUser({ name: 'Frank', email: 'frank@example.com', password: 'frank-secret' });
+    assert.strictEqual((await backend.get(Storage.USERS_KEY))[0].email, 'frank@example.com');
+});
+
+test('a failed read is passed on instead of being saved over', async () => {
+    const { Storage, StorageBackends } = loadScripts();
+    const backend = StorageBackends.create({ backend: 'memory' });
+    await Storage.useBackend(backend);
+    await Storage.registerUser({ name: 'Gina', email: 'gina@example.com', password: 'gina-secret' });
+    
+    const get = backend.get;
+    backend.get = async key => {
+        if (key === Storage.USERS_KEY) {
+            throw new Error('Storage server responded with 500');
+        }
+        return get(key);
+    };
+    await assert.rejects(Storage.registerUser({ name: 'Hal', email: 'hal@example.com', password: 'hal-secret' }), /500/);
+    
+    // Gina's account is still there once reads work again
+    backend.get = get;
+    assert.deepStrictEqual(Array.from(await backend.get(Storage.USERS_KEY), user => user.email), ['gina@example.com']);
+});
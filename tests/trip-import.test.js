@@ -0,0 +1,73 @@
+/**
+ * Visa Guide AIA - Trip Import Tests
+ * Importing a trip log from CSV: column names, date formats and all-or-nothing validation.
+ */
+
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+let Storage;
+let user;
+
+before(async () => {
+    Storage = loadScripts().Storage;
+    user = (await Storage.registerUser({ name: 'Lena', email: 'lena@example.com', password: 'lena-secret' })).user;
+});
+
+test('CSV dates are read as YYYY-MM-DD or MM/DD/YYYY', () => {
+    assert.strictEqual(Storage.parseCsvDate('2024-3-5'), '2024-03-05');
+    assert.strictEqual(Storage.parseCsvDate('03/05/2024'), '2024-03-05');
+    assert.strictEqual(Storage.parseCsvDate(''), '');
+    assert.strictEqual(Storage.parseCsvDate('2023-02-29'), null);
+    assert.strictEqual(Storage.parseCsvDate('5 March 2024'), null);
+});
+
+test('quoted cells may hold commas, quotes and line breaks, and a byte order mark is dropped', () => {
+    const rows = Storage.parseCsv('\uFEFFa,"b, c","say ""hi"""\r\n"two\nlines",x\n');
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(rows)), [['a', 'b, c', 'say "hi"'], ['two\nlines', 'x']]);
+});
+
+test('rows with a problem stop the whole import', async () => {
+    const csv = [
+        'Departure Date,Return Date,Countries',
+        '2024-01-10,2024-01-20,France',
+        '2024-02-10,2024-02-01,Spain',
+        '2024/03/01,,Italy',
+        '2024-01-15,2024-01-25,Germany'
+    ].join('\n');
+    
+    const result = await Storage.importTrips(user.id, csv);
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.message, '3 rows have problems; no trips were imported');
+    assert.deepStrictEqual(Array.from(result.errors, error => error.line), [3, 4, 5]);
+    assert.match(result.errors[0].message, /return date cannot be before/);
+    assert.match(result.errors[1].message, /YYYY-MM-DD or MM\/DD\/YYYY/);
+    assert.match(result.errors[2].message, /overlap your trip from 2024-01-10 to 2024-01-20/);
+    assert.strictEqual((await Storage.getTrips(user.id)).length, 0);
+});
+
+test('trips are imported with any known column names, and imported only once', async () => {
+    const csv = 'Departed,Returned,Country,Reason,Notes\n01/10/2024,01/20/2024,"France, Italy",Tourism,ignored\n2024-01-20,,Japan,Work,\n';
+    
+    const result = await Storage.importTrips(user.id, csv);
+    assert.strictEqual(result.success, true, result.message);
+    assert.strictEqual(result.message, 'Imported 2 trips');
+    
+    const trips = await Storage.getTrips(user.id);
+    const france = trips.find(trip => trip.departureDate === '2024-01-10');
+    assert.strictEqual(france.returnDate, '2024-01-20');
+    assert.strictEqual(france.countries, 'France, Italy');
+    assert.strictEqual(france.purpose, 'Tourism');
+    assert.strictEqual(france.notes, undefined);
+    
+    // The same file again adds nothing
+    const again = await Storage.importTrips(user.id, csv);
+    assert.strictEqual(again.message, 'Imported 0 trips (2 already in your log)');
+    assert.strictEqual((await Storage.getTrips(user.id)).length, 2);
+});
+
+test('files without a departure column or any rows are refused', async () => {
+    assert.match((await Storage.importTrips(user.id, 'Countries\nFrance')).message, /needs a "Departure Date" column/);
+    assert.match((await Storage.importTrips(user.id, 'Departure Date\n\n')).message, /no trips to import/);
+});
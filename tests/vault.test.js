@@ -0,0 +1,98 @@
+/**
+ * Visa Guide AIA - Vault Tests
+ * Sensitive application fields are sealed with a key wrapped by the owner's password.
+ */
+
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+let Storage;
+let user;
+let application;
+
+/**
+ * Read an application as it is stored, without opening it
+ * @param {string} applicationId - Application ID
+ * @returns {Promise<object>} - Stored application
+ */
+async function readStored(applicationId) {
+    return (await Storage.readApplications()).find(app => app.id === applicationId);
+}
+
+before(async () => {
+    Storage = loadScripts().Storage;
+    
+    user = (await Storage.registerUser({ name: 'Erin', email: 'erin@example.com', password: 'erin-secret' })).user;
+    application = (await Storage.addApplication(user.id, { destination: 'Japan', visaType: 'Tourist', passportNumber: 'X1234567' })).application;
+});
+
+test('vault keys open only with the password they were wrapped with', async () => {
+    const key = await Storage.generateVaultKey();
+    const vault = await Storage.wrapVaultKey(key, 'first password');
+    
+    assert.strictEqual(await Storage.unwrapVaultKey(vault, 'wrong password'), null);
+    
+    const unwrapped = await Storage.unwrapVaultKey(vault, 'first password');
+    assert.strictEqual(unwrapped.extractable, false);
+    assert.strictEqual((await Storage.unwrapVaultKey(vault, 'first password', true)).extractable, true);
+    
+    // A record sealed with the original key opens with the unwrapped one
+    const sealed = await Storage.sealApplication({ id: 'app_test', passportNumber: 'P1' }, key);
+    assert.strictEqual(sealed.passportNumber, undefined);
+    assert.strictEqual((await Storage.openApplication(sealed, unwrapped)).passportNumber, 'P1');
+    
+    // Sealed fields are bound to the record ID
+    assert.strictEqual((await Storage.openApplication({ ...sealed, id: 'app_other' }, unwrapped)).locked, true);
+});
+
+test('sensitive fields are stored sealed and read back in plaintext', async () => {
+    const stored = await readStored(application.id);
+    assert.strictEqual(stored.passportNumber, undefined);
+    assert.ok(stored.sealed.ciphertext);
+    assert.ok(!JSON.stringify(stored).includes('X1234567'));
+    
+    assert.strictEqual((await Storage.getApplicationById(application.id)).passportNumber, 'X1234567');
+});
+
+test('changing the password with the current one keeps sealed data', async () => {
+    const result = await Storage.updateUserPassword(user.id, 'erin-new-secret', 'erin-secret');
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.vaultReset, false);
+    
+    await Storage.logoutUser();
+    assert.strictEqual((await Storage.loginUser('erin@example.com', 'erin-new-secret')).success, true);
+    assert.strictEqual((await Storage.getApplicationById(application.id)).passportNumber, 'X1234567');
+});
+
+test('a locked vault hides sealed fields and refuses to save them', async () => {
+    await Storage.lockVault(Storage.getCurrentSessionId());
+    
+    const locked = await Storage.getApplicationById(application.id);
+    assert.strictEqual(locked.locked, true);
+    assert.strictEqual(locked.passportNumber, undefined);
+    
+    const result = await Storage.updateApplication(user.id, application.id, { passportNumber: 'Y7654321' });
+    assert.strictEqual(result.success, false);
+    assert.ok((await readStored(application.id)).sealed);
+    
+    // Signing in again unlocks it
+    await Storage.logoutUser();
+    await Storage.loginUser('erin@example.com', 'erin-new-secret');
+    assert.strictEqual((await Storage.getApplicationById(application.id)).passportNumber, 'X1234567');
+});
+
+test('changing the password without the current one replaces the vault', async () => {
+    const result = await Storage.updateUserPassword(user.id, 'erin-reset-secret');
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.vaultReset, true);
+    
+    // Data sealed with the old key is gone rather than left unreadable
+    const stored = await readStored(application.id);
+    assert.strictEqual(stored.sealed, undefined);
+    assert.strictEqual(stored.destination, 'Japan');
+    
+    await Storage.logoutUser();
+    assert.strictEqual((await Storage.loginUser('erin@example.com', 'erin-reset-secret')).success, true);
+    assert.strictEqual((await Storage.getApplicationById(application.id)).passportNumber, undefined);
+});